@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Single-use tokens mailed to a user: password resets and email verification. As with refresh tokens
+// only a hash is stored; the raw value only ever appears in the email.
+var AccountTokenSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date // Set when the token is redeemed
+}, { timestamps: true });
+
+// Replacing a user's outstanding tokens when a new one is mailed
+AccountTokenSchema.index({ user: 1, purpose: 1 });
+
+// Let MongoDB remove tokens once they expire
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
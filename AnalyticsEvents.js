@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Analytics event schema: one document per movie touched by a tracked request
+var AnalyticsEventSchema = new Schema({
+  type: { type: String, enum: ['movie_read', 'review_post'], required: true },
+  route: { type: String, required: true }, // Method and route pattern, e.g. "GET /movies/:movieId"
+  movieId: { type: Schema.Types.ObjectId, ref: 'Movie' },
+  movieTitle: String,
+  genre: String,
+  user: { type: Schema.Types.ObjectId, ref: 'User' },
+  status: Number, // HTTP status of the response
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Reports always cover a time window
+AnalyticsEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
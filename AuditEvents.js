@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// What audit events are about, and what was done (see audit.js)
+const ENTITIES = ['movie', 'review'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'revert', 'moderate'];
+
+// Audit event schema: one document per change to a movie or review. Events are only ever added; the
+// hooks below refuse to change or remove them through the model.
+var AuditEventSchema = new Schema({
+  entity: { type: String, enum: ENTITIES, required: true },
+  entityId: { type: Schema.Types.ObjectId, required: true },
+  movieId: { type: Schema.Types.ObjectId, ref: 'Movie' }, // The movie itself, or the movie a review is on
+  action: { type: String, enum: ACTIONS, required: true },
+  // Who made the change, kept as it was at the time so the record outlives the account
+  actor: new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    username: String
+  }, { _id: false }),
+  route: String, // Method and route pattern, e.g. "PUT /movies/:movieId", or the process that made the change
+  requestId: String, // The X-Request-Id of the request, to match the event with logs
+  // The fields that changed, with their values before and after
+  changes: [new Schema({
+    field: { type: String, required: true },
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }, { _id: false })],
+  // Movie events only: the movie's version (__v) after the change, which numbers its revisions, and its
+  // editable fields at that revision, which is what a revert restores
+  revision: Number,
+  snapshot: Schema.Types.Mixed,
+  revertedTo: Number, // Revert events: the revision that was restored
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A movie's history, newest first, optionally with its reviews' events; and finding one revision
+AuditEventSchema.index({ movieId: 1, createdAt: -1 });
+AuditEventSchema.index({ entityId: 1, revision: -1 }, { partialFilterExpression: { revision: { $exists: true } } });
+
+function appendOnly() {
+  throw new Error('Audit events cannot be changed or deleted.');
+}
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  appendOnly
+);
+AuditEventSchema.pre('save', function() {
+  if (!this.isNew) appendOnly();
+});
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
+module.exports.ENTITIES = ENTITIES;
+module.exports.ACTIONS = ACTIONS;
@@ -1,18 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.DB);
-    console.log("Connected to MongoDB");
-  } catch (error) {
-    console.error("MongoDB connection error:", error);
-    process.exit(1); // Exit the process if the connection fails (optional)
-  }
-};
-
-connectDB();
-
 // Movie schema
 var MovieSchema = new Schema({
   title: { type: String, required: true, index: true },
@@ -24,11 +12,199 @@ var MovieSchema = new Schema({
     ],
   },
   actors: [{
-    actorName: String,
+    person: { type: Schema.Types.ObjectId, ref: 'Person', index: true }, // Linked from actorName on save
+    actorName: String, // The person's name as credited, kept for display and search
     characterName: String,
   }],
-  imageUrl: String,
-  avgRating: { type: Number, min: 0, max: 10 },
+  imageUrl: String, // Set from image on upload (see images.js)
+  image: new Schema({
+    version: String, // Changes with every upload, so old URLs stop matching
+    format: { type: String, enum: ['jpeg', 'png', 'webp'] },
+    contentType: String,
+    width: Number,
+    height: Number,
+    uploadedAt: Date
+  }, { _id: false }),
+  // Rating aggregates, maintained by applyRatingChange as reviews are added, edited and deleted.
+  // Ratings use the review scale of 0-5 stars.
+  avgRating: { type: Number, min: 0, max: 5 },
+  reviewCount: { type: Number, default: 0 },
+  ratingSum: { type: Number, default: 0 },
+  ratingHistogram: { type: [Number], default: () => [0, 0, 0, 0, 0, 0] }, // Review count per star, 0-5
+  // Soft delete: DELETE /movies/:movieId sets these, POST /movies/:movieId/restore clears them
+  deletedAt: Date,
+  deletedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, { optimisticConcurrency: true }); // Every save bumps __v and fails if another write got there first
+
+// Sorting and filtering GET /movies by rating
+MovieSchema.index({ avgRating: -1, _id: -1 });
+
+// Text index for GET /search; weights rank title matches above actor and character matches
+MovieSchema.index(
+  { title: 'text', 'actors.actorName': 'text', 'actors.characterName': 'text' },
+  { name: 'movie_text', weights: { title: 10, 'actors.actorName': 5, 'actors.characterName': 3 } }
+);
+
+// Listing soft-deleted movies for admins
+MovieSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $exists: true } } });
+
+// Soft-deleted movies are hidden from every find, count and aggregate unless it sets the withDeleted
+// option, e.g. Movie.findById(id).setOptions({ withDeleted: true }) or Movie.aggregate(p).option({ withDeleted: true })
+MovieSchema.pre(['find', 'findOne', 'countDocuments'], function() {
+  if (!this.getOptions().withDeleted) this.where({ deletedAt: null });
+});
+
+MovieSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  // A $match using $text has to stay the first stage, so fold the filter into a leading $match
+  if (pipeline.length > 0 && pipeline[0].$match) {
+    pipeline[0] = { $match: { ...pipeline[0].$match, deletedAt: null } };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Link every actor entry to a Person before saving. The credited name decides who the actor is (matched
+// against names and merged aliases, creating the person if needed); an entry with only a person id takes
+// that person's name.
+MovieSchema.pre('save', async function() {
+  if (!this.isModified('actors')) return;
+  const Person = mongoose.model('Person');
+
+  for (let i = 0; i < this.actors.length; i++) {
+    const actor = this.actors[i];
+    if (actor.actorName) {
+      actor.person = (await Person.findOrCreateByName(actor.actorName))._id;
+    } else if (actor.person) {
+      const person = await Person.findById(actor.person);
+      if (!person) {
+        const err = new mongoose.Error.ValidationError(this);
+        err.addError(`actors.${i}.person`, new mongoose.Error.ValidatorError({
+          message: `Person with id "${actor.person}" not found.`,
+          path: `actors.${i}.person`,
+          value: actor.person
+        }));
+        throw err;
+      }
+      actor.actorName = person.name;
+    }
+  }
 });
 
+// Histogram bucket for a rating; fractional ratings round half up to the nearest star
+const starOf = (rating) => Math.min(5, Math.max(0, Math.floor(rating + 0.5)));
+
+// Atomically fold a review change into a movie's rating aggregates.
+// Pass the rating being added and/or removed: create adds, delete removes, an edit does both.
+MovieSchema.statics.applyRatingChange = function(movieId, { add = null, remove = null }) {
+  const countDelta = (add !== null ? 1 : 0) - (remove !== null ? 1 : 0);
+  const sumDelta = (add !== null ? add : 0) - (remove !== null ? remove : 0);
+  const addStar = add !== null ? starOf(add) : -1;
+  const removeStar = remove !== null ? starOf(remove) : -1;
+
+  // A pipeline update reads and writes the document in one step, so concurrent reviews cannot interleave
+  return this.updateOne({ _id: movieId }, [
+    {
+      $set: {
+        reviewCount: { $add: [{ $ifNull: ['$reviewCount', 0] }, countDelta] },
+        ratingSum: { $add: [{ $ifNull: ['$ratingSum', 0] }, sumDelta] },
+        ratingHistogram: {
+          $map: {
+            input: { $range: [0, 6] },
+            as: 'star',
+            in: {
+              $add: [
+                { $ifNull: [{ $arrayElemAt: ['$ratingHistogram', '$$star'] }, 0] },
+                { $cond: [{ $eq: ['$$star', addStar] }, 1, 0] },
+                { $cond: [{ $eq: ['$$star', removeStar] }, -1, 0] }
+              ]
+            }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        avgRating: {
+          $cond: [{ $gt: ['$reviewCount', 0] }, { $divide: ['$ratingSum', '$reviewCount'] }, null]
+        }
+      }
+    }
+  ]);
+};
+
+// Rebuild rating aggregates from the reviews collection to repair drift.
+// Resolves to the number of movies checked and the number whose stored aggregates were wrong.
+MovieSchema.statics.recomputeRatings = async function(filter = {}) {
+  const Review = mongoose.model('Review');
+  // Deleted movies too, so a restored movie comes back with the right aggregates
+  const movies = await this.find(filter).setOptions({ withDeleted: true }).select('_id');
+  const ids = movies.map(m => m._id);
+
+  const stats = await Review.aggregate([
+    { $match: { movieId: { $in: ids }, ...Review.PUBLISHED } }, // Held and rejected reviews do not count
+    {
+      $group: {
+        _id: '$movieId',
+        count: { $sum: 1 },
+        sum: { $sum: '$rating' },
+        stars: { $push: { $min: [5, { $max: [0, { $floor: { $add: ['$rating', 0.5] } }] }] } }
+      }
+    }
+  ]);
+  const statsById = new Map(stats.map(s => [String(s._id), s]));
+
+  const operations = ids.map(id => {
+    const s = statsById.get(String(id)) || { count: 0, sum: 0, stars: [] };
+    const histogram = [0, 0, 0, 0, 0, 0];
+    s.stars.forEach(star => histogram[star]++);
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          $set: {
+            reviewCount: s.count,
+            ratingSum: s.sum,
+            ratingHistogram: histogram,
+            avgRating: s.count > 0 ? s.sum / s.count : null
+          }
+        }
+      }
+    };
+  });
+
+  const result = operations.length > 0 ? await this.bulkWrite(operations) : { modifiedCount: 0 };
+  return { checked: ids.length, repaired: result.modifiedCount };
+};
+
+// Permanently delete a soft-deleted movie together with its reviews, their votes and watchlist entries, in one transaction.
+// Resolves to { reviewsDeleted }, or null when the movie is not (or no longer) soft-deleted.
+MovieSchema.statics.purge = async function(movieId) {
+  const Review = mongoose.model('Review');
+  const ReviewVote = mongoose.model('ReviewVote');
+  const Watchlist = mongoose.model('Watchlist');
+  const session = await this.startSession();
+
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      result = null;
+      const deleted = await this.deleteOne({ _id: movieId, deletedAt: { $ne: null } }, { session });
+      if (deleted.deletedCount === 0) {
+        await session.abortTransaction();
+        return;
+      }
+      const reviewIds = await Review.distinct('_id', { movieId }, { session });
+      await ReviewVote.deleteMany({ review: { $in: reviewIds } }, { session });
+      const reviews = await Review.deleteMany({ movieId }, { session });
+      await Watchlist.removeMovie(movieId, { session });
+      result = { reviewsDeleted: reviews.deletedCount };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 module.exports = mongoose.model('Movie', MovieSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Compare names ignoring case, accents, punctuation and spacing: "Penélope  Cruz" -> "penelope cruz"
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Person schema: one document per actor, referenced from each movie's actors
+var PersonSchema = new Schema({
+  name: { type: String, required: true },
+  normalizedName: { type: String, required: true, unique: true },
+  aliases: { type: [String], index: true } // Normalized spellings merged into this person
+}, { timestamps: true });
+
+PersonSchema.pre('validate', function(next) {
+  if (this.isModified('name')) this.normalizedName = normalizeName(this.name);
+  next();
+});
+
+// Find the person with this name or a merged alias of it, creating them if there is none
+PersonSchema.statics.findOrCreateByName = async function(name) {
+  const normalizedName = normalizeName(name);
+  const existing = await this.findOne({ $or: [{ normalizedName }, { aliases: normalizedName }] });
+  if (existing) return existing;
+
+  // Upsert so two movies naming a new actor at the same time still create only one person
+  return this.findOneAndUpdate(
+    { normalizedName },
+    { $setOnInsert: { name: String(name).trim(), normalizedName } },
+    { upsert: true, new: true }
+  );
+};
+
+PersonSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Person', PersonSchema);
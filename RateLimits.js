@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Rate limit counter schema, used by the Mongo store in rate_limit.js so every instance of the API
+// shares the same counts. One document per key (e.g. "signin:203.0.113.7"), counting hits until resetAt.
+var RateLimitSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+// Let MongoDB remove counters once their window is over
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Refresh token schema. Only a hash of the token is stored; the raw value is handed to the client once.
+// Every token issued by rotation shares the family of the signin that started it, so a reused token
+// can revoke the whole chain.
+var RefreshTokenSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  family: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date, // Set when the token is exchanged for a new pair
+  revokedAt: Date // Set on logout or when reuse is detected
+}, { timestamps: true });
+
+// Let MongoDB remove tokens once they expire
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Helpfulness votes on reviews, one per user per review. The review keeps the tallies (see
+// Review.applyVoteChange); these records let a user change or withdraw their vote.
+var ReviewVoteSchema = new Schema({
+  review: { type: Schema.Types.ObjectId, ref: 'Review', required: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  helpful: { type: Boolean, required: true }
+}, { timestamps: true });
+
+ReviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+// Set a user's vote on a review, replacing any earlier one, and update the review's tallies.
+// Resolves to the previous vote (true, false or null when there was none).
+ReviewVoteSchema.statics.cast = async function(reviewId, userId, helpful) {
+  const Review = mongoose.model('Review');
+  // Upserting returns the vote as it was, in the same step that replaces it
+  const previous = await this.findOneAndUpdate(
+    { review: reviewId, user: userId },
+    { helpful },
+    { upsert: true, new: false }
+  );
+  const before = previous ? previous.helpful : null;
+  if (before !== helpful) {
+    await Review.applyVoteChange(reviewId, { add: helpful, remove: before });
+  }
+  return before;
+};
+
+// Withdraw a user's vote on a review. Resolves to the withdrawn vote, or null when there was none.
+ReviewVoteSchema.statics.withdraw = async function(reviewId, userId) {
+  const Review = mongoose.model('Review');
+  const vote = await this.findOneAndDelete({ review: reviewId, user: userId });
+  if (!vote) return null;
+  await Review.applyVoteChange(reviewId, { remove: vote.helpful });
+  return vote.helpful;
+};
+
+// Withdraw every vote a user has cast, e.g. when their account is deleted
+ReviewVoteSchema.statics.withdrawAll = async function(userId) {
+  const votes = await this.find({ user: userId }).select('review');
+  for (const vote of votes) {
+    await this.withdraw(vote.review, userId);
+  }
+};
+
+module.exports = mongoose.model('ReviewVote', ReviewVoteSchema);
@@ -1,25 +1,205 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.DB);
-    console.log("Connected to MongoDB");
-  } catch (error) {
-    console.error("MongoDB connection error:", error);
-    process.exit(1); // Exit the process if the connection fails (optional)
-  }
-};
-
-connectDB();
+// Moderation states (see moderation.js). Only published reviews are shown and counted in ratings;
+// reviews from before moderation have no status and count as published.
+const STATUSES = ['published', 'pending', 'rejected'];
+const HIDDEN_STATUSES = ['pending', 'rejected'];
 
 //Review Schema
 var ReviewSchema = new mongoose.Schema({
     movieId: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie' },
-    username: String,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Author, taken from the JWT
+    username: String, // Author's username at the time of posting, kept for display
     review: String,
-    rating: { type: Number, min: 0, max: 5 }
+    rating: { type: Number, min: 0, max: 5 },
+    editedAt: Date, // Set when the author changes the review text or rating
+    status: { type: String, enum: STATUSES, default: 'published' },
+    // Reports from users; who flagged is only shown to admins
+    flags: {
+        type: [new Schema({
+            user: { type: Schema.Types.ObjectId, ref: 'User' },
+            reason: String,
+            note: String,
+            createdAt: { type: Date, default: Date.now }
+        }, { _id: false })],
+        select: false
+    },
+    flagCount: { type: Number, default: 0 }, // Flags since a moderator last looked at the review
+    // Helpfulness votes (see ReviewVotes.js), maintained by applyVoteChange. helpfulness is the lower bound
+    // of the Wilson score interval for the share of helpful votes, so a review with 40 of 50 votes helpful
+    // ranks above one with its only vote helpful.
+    helpfulVotes: { type: Number, default: 0 },
+    unhelpfulVotes: { type: Number, default: 0 },
+    helpfulness: { type: Number, default: 0 },
+    // Moderators' notes, only for the admin queue: not loaded unless selected ("+moderation") and left out
+    // of JSON responses, which the queue gets round by sending toObject()
+    moderation: {
+        type: new Schema({
+            heldFor: [String], // Why the review was held: words the content filter matched, "link" or "flags"
+            action: String, // The moderator's last decision: approve, reject or edit
+            by: { type: Schema.Types.ObjectId, ref: 'User' },
+            at: Date,
+            note: String
+        }, { _id: false }),
+        select: false
+    }
+  }, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.moderation;
+            return ret;
+        }
+    }
   });
 
+// One review per user per movie. Legacy reviews without a user are exempt until migrated (see migrate_reviews.js)
+ReviewSchema.index(
+  { movieId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+
+// Listing a movie's reviews newest first, by rating or by helpfulness
+ReviewSchema.index({ movieId: 1, createdAt: -1 });
+ReviewSchema.index({ movieId: 1, rating: -1 });
+ReviewSchema.index({ movieId: 1, helpfulness: -1 });
+
+// A user's reviews, for recommendations (what they liked and what they have already seen)
+ReviewSchema.index({ user: 1, rating: -1 });
+
+// The moderation queue: held reviews oldest first, and flagged ones
+ReviewSchema.index({ status: 1, createdAt: 1 });
+ReviewSchema.index({ flagCount: -1 }, { partialFilterExpression: { flagCount: { $gt: 0 } } });
+
+// Text index for GET /search over review text
+ReviewSchema.index({ review: 'text' }, { name: 'review_text' });
+
+// Whether the given user wrote this review; legacy reviews only know the author's username
+ReviewSchema.methods.isAuthoredBy = function(user) {
+    return this.user ? this.user.equals(user._id) : this.username === user.username;
+};
+
+// Whether the review is shown and counted in its movie's rating
+ReviewSchema.methods.isPublished = function() {
+    return !HIDDEN_STATUSES.includes(this.status);
+};
+
+// The rating this review contributes to its movie's aggregates: null while it is hidden
+ReviewSchema.methods.countedRating = function() {
+    return this.isPublished() ? this.rating : null;
+};
+
+// z for a 95% confidence interval
+const WILSON_Z = 1.96;
+
+// Atomically fold a vote change into a review's tallies and helpfulness. Pass the vote being added and/or
+// removed as true (helpful) or false: a new vote adds, a withdrawn one removes, a changed one does both.
+ReviewSchema.statics.applyVoteChange = function(reviewId, { add = null, remove = null }) {
+    const delta = (helpful) => (add === helpful ? 1 : 0) - (remove === helpful ? 1 : 0);
+    const z2 = WILSON_Z * WILSON_Z;
+
+    // A pipeline update reads and writes the document in one step, so concurrent votes cannot interleave
+    return this.updateOne({ _id: reviewId }, [
+        {
+            $set: {
+                helpfulVotes: { $add: [{ $ifNull: ['$helpfulVotes', 0] }, delta(true)] },
+                unhelpfulVotes: { $add: [{ $ifNull: ['$unhelpfulVotes', 0] }, delta(false)] }
+            }
+        },
+        { $set: { n: { $add: ['$helpfulVotes', '$unhelpfulVotes'] } } },
+        { $set: { p: { $cond: [{ $gt: ['$n', 0] }, { $divide: ['$helpfulVotes', '$n'] }, 0] } } },
+        {
+            // (p + z²/2n - z * sqrt((p(1 - p) + z²/4n) / n)) / (1 + z²/n), or 0 without votes
+            $set: {
+                helpfulness: {
+                    $cond: [
+                        { $gt: ['$n', 0] },
+                        {
+                            $divide: [
+                                {
+                                    $subtract: [
+                                        { $add: ['$p', { $divide: [z2, { $multiply: [2, '$n'] }] }] },
+                                        {
+                                            $multiply: [WILSON_Z, {
+                                                $sqrt: {
+                                                    $divide: [
+                                                        { $add: [{ $multiply: ['$p', { $subtract: [1, '$p'] }] }, { $divide: [z2, { $multiply: [4, '$n'] }] }] },
+                                                        '$n'
+                                                    ]
+                                                }
+                                            }]
+                                        }
+                                    ]
+                                },
+                                { $add: [1, { $divide: [z2, '$n'] }] }
+                            ]
+                        },
+                        0
+                    ]
+                }
+            }
+        },
+        { $unset: ['n', 'p'] }
+    ], { timestamps: false });
+};
+
+// Consistency check: reviews whose movie no longer exists, grouped by the missing movieId (up to 20 review ids
+// each), plus the number of reviews kept for soft-deleted movies so they return on restore.
+ReviewSchema.statics.findOrphans = async function() {
+    const [result] = await this.aggregate([
+        {
+            $lookup: {
+                from: 'movies',
+                localField: 'movieId',
+                foreignField: '_id',
+                as: 'movie',
+                pipeline: [{ $project: { deletedAt: 1 } }]
+            }
+        },
+        {
+            $facet: {
+                orphaned: [
+                    { $match: { movie: { $size: 0 } } },
+                    { $group: { _id: '$movieId', count: { $sum: 1 }, reviewIds: { $push: '$_id' } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $project: { _id: 0, movieId: '$_id', count: 1, reviewIds: { $slice: ['$reviewIds', 20] } } }
+                ],
+                ofDeletedMovies: [
+                    { $match: { 'movie.deletedAt': { $ne: null } } },
+                    { $count: 'count' }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        orphanedReviews: result.orphaned.reduce((total, group) => total + group.count, 0),
+        movies: result.orphaned,
+        reviewsOfDeletedMovies: result.ofDeletedMovies.length > 0 ? result.ofDeletedMovies[0].count : 0
+    };
+};
+
 // return the model
-module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
+module.exports = mongoose.model('Review', ReviewSchema);
+module.exports.STATUSES = STATUSES;
+// Orders for listing a movie's reviews; the default is newest
+module.exports.SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    rating: { rating: 1, createdAt: -1 },
+    '-rating': { rating: -1, createdAt: -1 },
+    helpful: { helpfulness: -1, createdAt: -1 }
+};
+// Query filter for published reviews, including those from before moderation
+module.exports.PUBLISHED = { status: { $nin: HIDDEN_STATUSES } };
+// Query filter for a user's reviews, including legacy ones that only know their username (see migrate_reviews.js)
+module.exports.authoredBy = (user) => ({ $or: [{ user: user._id }, { user: { $exists: false }, username: user.username }] });
+// $lookup pipeline embedding a movie's reviews in responses: published ones without the flags and
+// moderation notes, in one of SORTS (most helpful first by default), optionally only the first limit
+module.exports.embedPipeline = ({ sort = 'helpful', limit } = {}) => [
+    { $match: module.exports.PUBLISHED },
+    { $sort: module.exports.SORTS[sort] },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { flags: 0, moderation: 0 } }
+];
\ No newline at end of file
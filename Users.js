@@ -4,24 +4,60 @@ const bcrypt = require('bcrypt'); // Use bcrypt, not bcrypt-nodejs
 
 // No need for mongoose.Promise = global.Promise;
 
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.DB); // useNewUrlParser and useUnifiedTopology are no longer needed
-    console.log("Connected to MongoDB");
-  } catch (error) {
-    console.error("MongoDB connection error:", error); // Log the actual error object
-    process.exit(1); // Exit the process if the connection fails (optional, but good practice)
-  }
-};
+// Password rules, checked whenever a password is set (signup and password change); stored hashes are never re-checked
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything past 72 bytes
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890', 'qwerty123', 'qwertyuiop',
+    'iloveyou', 'letmein1', 'welcome1', 'abc12345', 'football', 'baseball', 'sunshine', 'princess', 'admin123'
+]);
 
-connectDB();
+// What is wrong with a new password, or null when it is acceptable
+function passwordProblem(password, user) {
+    if (password.length < PASSWORD_MIN_LENGTH) return `must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+    if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) return `must be at most ${PASSWORD_MAX_BYTES} bytes long`;
+    if (!/\p{L}/u.test(password) || !/[^\p{L}]/u.test(password)) return 'must contain a letter and a number or symbol';
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) return 'is too common';
 
+    // Nor the user's own name or the name part of their username (e.g. "alice" in alice@example.com)
+    const lower = password.toLowerCase();
+    const personal = [user.name, String(user.username || '').split('@')[0]]
+        .filter(part => part && part.length >= 3)
+        .map(part => part.toLowerCase());
+    if (personal.some(part => lower.includes(part))) return 'must not contain your name or username';
+    return null;
+}
 
 const UserSchema = new Schema({
-    name: String,
+    name: { type: String, trim: true, maxlength: 100 },
     username: { type: String, required: true, index: { unique: true } },
-    password: { type: String, required: true, select: false }
-});
+    password: {
+        type: String,
+        required: true,
+        select: false,
+        validate: {
+            // Only a newly set plain-text password is checked; the pre-save hook hashes it after validation
+            validator: function(password) {
+                if (!this.isModified('password')) return true;
+                const problem = passwordProblem(password, this);
+                if (problem) throw new Error(`Password ${problem}.`);
+                return true;
+            },
+            // Never the default message, which would echo the password back
+            message: (props) => props.reason ? props.reason.message : 'Password is not allowed.'
+        }
+    },
+    role: { type: String, enum: ['user', 'editor', 'admin'], default: 'user' },
+    tokenVersion: { type: Number, default: 0 }, // Bumped to revoke every access token issued so far
+
+    // False until the user redeems the link mailed on signup. Accounts from before verification existed
+    // have no value and are treated as verified, so there is deliberately no default.
+    emailVerified: Boolean,
+
+    // Public profile, editable through PATCH /users/me
+    bio: { type: String, trim: true, maxlength: 500 },
+    location: { type: String, trim: true, maxlength: 100 }
+}, { timestamps: true });
 
 UserSchema.pre('save', async function(next) {  // Use async/await for cleaner code
     const user = this;
@@ -45,4 +81,24 @@ UserSchema.methods.comparePassword = async function(password) { // Use async/awa
     }
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+// The account as returned by GET /users/me
+UserSchema.methods.profile = function() {
+    return {
+        _id: this._id,
+        name: this.name,
+        username: this.username,
+        role: this.role,
+        bio: this.bio,
+        location: this.location,
+        emailVerified: this.isVerified(),
+        createdAt: this.createdAt
+    };
+};
+
+// Whether the user has verified their email address; accounts older than verification count as verified
+UserSchema.methods.isVerified = function() {
+    return this.emailVerified !== false;
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.PASSWORD_MIN_LENGTH = PASSWORD_MIN_LENGTH;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DEFAULT_NAME = 'Watchlist';
+
+// Fields of each listed movie returned with a list
+const MOVIE_FIELDS = 'title releaseDate genre imageUrl avgRating reviewCount';
+
+// Watchlist schema: a named list of movies owned by one user. Every user has a default list, created
+// on first use, that /users/me/watchlist works on; more lists can be added and made public, which
+// serves them read-only at /lists/shared/:shareToken.
+var WatchlistSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  isDefault: { type: Boolean, default: false },
+  visibility: { type: String, enum: ['private', 'public'], default: 'private' },
+  shareToken: { type: String, unique: true, default: () => crypto.randomBytes(16).toString('base64url') },
+  items: [{
+    _id: false,
+    movieId: { type: Schema.Types.ObjectId, ref: 'Movie', required: true },
+    addedAt: { type: Date, default: Date.now },
+    watchedAt: Date // Set when the user marks the movie as watched
+  }]
+}, { timestamps: true });
+
+// List names are unique per user, and each user has at most one default list
+WatchlistSchema.index({ user: 1, name: 1 }, { unique: true });
+WatchlistSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Removing a purged movie from every list (see Movie.purge)
+WatchlistSchema.index({ 'items.movieId': 1 });
+
+// The user's default list, created if they do not have one yet
+WatchlistSchema.statics.defaultFor = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId, isDefault: true },
+    { $setOnInsert: { user: userId, isDefault: true, name: DEFAULT_NAME } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Drop a purged movie from every list. Soft-deleted movies stay listed and are hidden by view().
+WatchlistSchema.statics.removeMovie = function(movieId, options) {
+  return this.updateMany({ 'items.movieId': movieId }, { $pull: { items: { movieId } } }, options);
+};
+
+// The list without its movies, as in GET /users/me/lists
+WatchlistSchema.methods.summary = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    isDefault: this.isDefault,
+    visibility: this.visibility,
+    shareUrl: this.visibility === 'public' ? `/lists/shared/${this.shareToken}` : null,
+    itemCount: this.items.length
+  };
+};
+
+// The list as returned to clients, with each movie's details. Items whose movie is deleted are left out.
+// watched = true or false keeps only watched or unwatched items.
+WatchlistSchema.methods.view = async function({ watched } = {}) {
+  await this.populate({ path: 'items.movieId', select: MOVIE_FIELDS });
+
+  const items = this.items
+    .filter(item => item.movieId && (watched === undefined || Boolean(item.watchedAt) === watched))
+    .map(item => ({ movie: item.movieId, addedAt: item.addedAt, watchedAt: item.watchedAt || null }));
+
+  return { ...this.summary(), itemCount: items.length, items };
+};
+
+module.exports = mongoose.model('Watchlist', WatchlistSchema);
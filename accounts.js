@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const User = require('./Users');
+const Movie = require('./Movies');
+const Review = require('./Reviews');
+const ReviewVote = require('./ReviewVotes');
+const Watchlist = require('./Watchlists');
+const RefreshToken = require('./RefreshTokens');
+const AnalyticsEvent = require('./AnalyticsEvents');
+const AccountToken = require('./AccountTokens');
+const tokens = require('./tokens');
+const mailer = require('./mailer');
+const audit = require('./audit');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const VERIFICATION_TOKEN_TTL_MS = 48 * 60 * 60 * 1000; // 2 days
+const INVALID_TOKEN = 'Invalid or expired token.';
+
+// What DELETE /users/me can do with the user's reviews
+const REVIEW_CHOICES = ['anonymize', 'delete'];
+
+//----------------------------------------------------------------------------------------------------------
+// Delete an account. reviews = 'anonymize' keeps the user's reviews, and so the movies' ratings, but drops
+// the author's name; linked reviews keep the id of the deleted account, which nobody can sign in as.
+// reviews = 'delete' removes them and rebuilds the ratings of the movies they were on. Watchlists and
+// refresh and mailed tokens always go, as do the user's helpfulness votes, and analytics events lose
+// their link to the user. The changes to reviews are recorded in the audit log as made by source, the
+// request (see audit.js); earlier audit events keep the user's id and username, since the log is append-only.
+// The account itself is removed last, so a failure part way leaves it in place and the request can be retried.
+// Resolves to { reviews } with the number of reviews anonymized or deleted.
+async function deleteAccount(user, { reviews, source = { user } }) {
+  const affected = await Review.find(Review.authoredBy(user));
+  const reviewIds = affected.map(review => review._id);
+  let count;
+  if (reviews === 'delete') {
+    count = (await Review.deleteMany({ _id: { $in: reviewIds } })).deletedCount;
+    await ReviewVote.deleteMany({ review: { $in: reviewIds } });
+    await Movie.recomputeRatings({ _id: { $in: affected.map(review => review.movieId) } });
+    for (const review of affected) {
+      await audit.recordReview(source, 'delete', review, audit.reviewState(review));
+    }
+  } else {
+    count = (await Review.updateMany({ _id: { $in: reviewIds } }, { $unset: { username: 1 } }, { timestamps: false })).modifiedCount;
+    const anonymized = await Review.find({ _id: { $in: reviewIds } });
+    const before = new Map(affected.map(review => [String(review._id), audit.reviewState(review)]));
+    for (const review of anonymized) {
+      await audit.recordReview(source, 'update', review, before.get(String(review._id)));
+    }
+  }
+
+  await ReviewVote.withdrawAll(user._id); // Their votes leave the tallies of other users' reviews too
+  await Promise.all([
+    Watchlist.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    AccountToken.deleteMany({ user: user._id }),
+    AnalyticsEvent.updateMany({ user: user._id }, { $unset: { user: 1 } })
+  ]);
+  await User.deleteOne({ _id: user._id });
+
+  return { reviews: count };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Mailed tokens: each is single-use, expires, and replaces any unused token the user had for the same purpose
+
+// Create a token and return its raw value, which only ever goes into the email
+async function issueToken(user, purpose, ttlMs) {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: tokens.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+// The stored record of a raw token that is still usable, or null
+function findToken(token, purpose) {
+  return AccountToken.findOne({
+    tokenHash: tokens.hashToken(String(token)),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+// Mark a token used in the same step as checking it, so two concurrent requests cannot both redeem it
+async function claimToken(record) {
+  return Boolean(await AccountToken.findOneAndUpdate({ _id: record._id, usedAt: null }, { usedAt: new Date() }));
+}
+
+// Mail a password reset token if the username has an account. Resolves the same way when it does not,
+// so the caller cannot reveal which usernames are registered.
+async function requestPasswordReset(username) {
+  const user = await User.findOne({ username });
+  if (!user) return;
+
+  const token = await issueToken(user, 'password_reset', RESET_TOKEN_TTL_MS);
+  await mailer.send({
+    to: user.username,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password of your Movie Reviews account. If it was you, send this token ` +
+      `with your new password to POST /password/reset within the next hour:\n\n${token}\n\n` +
+      `If it was not you, ignore this email; your password has not changed.`
+  });
+}
+
+// Set a new password with a reset token, then sign out every session. The password is checked before the
+// token is used up, so a rejected password can be retried with the same token. Since the token reached the
+// user's mailbox, it verifies their email address too. Returns { error } when the token cannot be used.
+async function resetPassword(token, password) {
+  const record = await findToken(token, 'password_reset');
+  const user = record && await User.findById(record.user).select('+password');
+  if (!user) return { error: INVALID_TOKEN };
+
+  user.password = password;
+  await user.validate();
+  if (!(await claimToken(record))) return { error: INVALID_TOKEN };
+
+  if (!user.isVerified()) user.emailVerified = true;
+  await user.save();
+  await tokens.revokeAllTokens(user._id);
+  return { user };
+}
+
+// Mail a new email verification token
+async function sendVerification(user) {
+  const token = await issueToken(user, 'email_verification', VERIFICATION_TOKEN_TTL_MS);
+  await mailer.send({
+    to: user.username,
+    subject: 'Verify your email address',
+    text: `Welcome to Movie Reviews! Send this token to POST /email/verify within two days to verify your ` +
+      `address and start posting reviews:\n\n${token}`
+  });
+}
+
+// Mark the token's user verified. Returns { error } when the token cannot be used.
+async function verifyEmail(token) {
+  const record = await findToken(token, 'email_verification');
+  if (!record || !(await claimToken(record))) return { error: INVALID_TOKEN };
+
+  const user = await User.findByIdAndUpdate(record.user, { emailVerified: true }, { new: true });
+  return user ? { user } : { error: INVALID_TOKEN };
+}
+
+module.exports = {
+  REVIEW_CHOICES,
+  deleteAccount,
+  requestPasswordReset,
+  resetPassword,
+  sendVerification,
+  verifyEmail
+};
@@ -0,0 +1,130 @@
+const AnalyticsEvent = require('./AnalyticsEvents');
+
+const DEFAULT_WINDOW_DAYS = 7;
+const EVENT_TYPES = AnalyticsEvent.schema.path('type').enumValues;
+const REPORT_LIMIT = 50;
+
+//----------------------------------------------------------------------------------------------------------
+// Sinks receive every recorded event. A sink is any object with an async record(events) method taking
+// the events of one request as an array, so an external collector can be added by writing one that
+// forwards them over its own API.
+
+// Store events in the local analytics collection, one insert per request; this sink backs
+// GET /analytics/movies
+function createMongoSink() {
+  return {
+    record: (events) => AnalyticsEvent.insertMany(events)
+  };
+}
+
+// Keep events in memory, for tests
+function createMemorySink() {
+  const events = [];
+  return {
+    events,
+    record: async (batch) => { events.push(...batch); }
+  };
+}
+
+let sinks = [createMongoSink()];
+
+// Replace the active sinks; returns the previous ones so tests can restore them
+function setSinks(newSinks) {
+  const previous = sinks;
+  sinks = newSinks;
+  return previous;
+}
+
+// Send a request's events to every sink. A failing sink is logged and never affects the request.
+function record(events) {
+  return Promise.all(sinks.map(sink =>
+    Promise.resolve()
+      .then(() => sink.record(events))
+      .catch(err => console.error('Analytics sink error:', err.message))
+  ));
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Middleware recording an event of the given type once a successful response has been sent. A 304 is
+// the client revalidating what it already has, not a read, so it is not recorded.
+// Handlers list the movies they served in res.locals.analyticsMovies; one event is recorded per movie,
+// or a single movie-less event when there are none, and the sinks get them together.
+function track(type) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || res.statusCode === 304) return;
+
+      const base = {
+        type,
+        route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+        user: req.user ? req.user._id : undefined,
+        status: res.statusCode,
+        createdAt: new Date()
+      };
+      const movies = res.locals.analyticsMovies || [];
+      const events = movies.length === 0
+        ? [base]
+        : movies.map(movie => ({ ...base, movieId: movie._id, movieTitle: movie.title, genre: movie.genre }));
+
+      record(events);
+    });
+    next();
+  };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Request counts by movie, genre and route for events between from and to (defaults to the last 7 days),
+// optionally limited to one event type
+async function movieReport({ from, to, type } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const match = { createdAt: { $gte: start, $lte: end } };
+  if (type) match.type = type;
+
+  const [result] = await AnalyticsEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byMovie: [
+          { $match: { movieId: { $ne: null } } },
+          { $group: { _id: '$movieId', title: { $last: '$movieTitle' }, genre: { $last: '$genre' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, title: 1 } },
+          { $limit: REPORT_LIMIT },
+          { $project: { _id: 0, movieId: '$_id', title: 1, genre: 1, count: 1 } }
+        ],
+        byGenre: [
+          { $match: { genre: { $ne: null } } },
+          { $group: { _id: '$genre', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $project: { _id: 0, genre: '$_id', count: 1 } }
+        ],
+        byRoute: [
+          { $group: { _id: '$route', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $project: { _id: 0, route: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    from: start,
+    to: end,
+    type: type || null,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    byMovie: result.byMovie,
+    byGenre: result.byGenre,
+    byRoute: result.byRoute
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createMongoSink,
+  createMemorySink,
+  setSinks,
+  track,
+  movieReport
+};
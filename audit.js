@@ -0,0 +1,119 @@
+const AuditEvent = require('./AuditEvents');
+
+// Audit log of changes to movies and reviews. Routes record who changed what after each write; the log
+// backs GET /movies/:movieId/history and reverting a movie to an earlier revision.
+
+//----------------------------------------------------------------------------------------------------------
+// The fields an event compares, as plain values. Derived fields such as rating aggregates, person links
+// and vote tallies are left out: they follow from the others.
+
+const movieState = (movie) => movie && {
+  title: movie.title,
+  releaseDate: movie.releaseDate,
+  genre: movie.genre,
+  actors: (movie.actors || []).map(({ actorName, characterName }) => ({ actorName, characterName })),
+  imageUrl: movie.imageUrl,
+  deletedAt: movie.deletedAt
+};
+
+const reviewState = (review) => review && {
+  username: review.username,
+  review: review.review,
+  rating: review.rating,
+  status: review.status
+};
+
+// The fields whose values differ between two states, as [{ field, before, after }]; a missing state
+// (before a create, after a delete) counts as every field unset
+function diff(before, after) {
+  const normalize = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value));
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .map(field => ({ field, before: normalize((before || {})[field]), after: normalize((after || {})[field]) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+// Who made a change: the signed-in user of a request, or { user, route } for changes made outside one
+function sourceOf(source = {}) {
+  const user = source.user;
+  return {
+    actor: user ? { user: user._id, username: user.username } : undefined,
+    route: source.originalUrl ? `${source.method} ${source.baseUrl}${source.route ? source.route.path : source.path}` : source.route,
+    requestId: source.id
+  };
+}
+
+// Write an event. The change it describes has already been made, so a failure is logged rather than
+// turned into an error response. An update that changed nothing is not recorded.
+async function record(source, event) {
+  if (event.action === 'update' && event.changes.length === 0) return null;
+  try {
+    return await AuditEvent.create({ ...sourceOf(source), ...event });
+  } catch (err) {
+    console.error(`Failed to record ${event.action} of ${event.entity} ${event.entityId}:`, err.message);
+    return null;
+  }
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Recording changes. before is the state from movieState or reviewState, taken before the change.
+
+// Record a change to a movie, given the movie as saved (or as it was, for a purge). The snapshot is the
+// movie's editable fields; the poster and deletion are left out, as a revert does not bring them back.
+function recordMovie(source, action, movie, before, { revertedTo } = {}) {
+  const after = action === 'purge' ? null : movieState(movie);
+  const { imageUrl, deletedAt, ...snapshot } = after || {};
+  return record(source, {
+    entity: 'movie',
+    entityId: movie._id,
+    movieId: movie._id,
+    action,
+    changes: diff(before, after),
+    revision: after ? movie.__v : undefined,
+    snapshot: after ? snapshot : undefined,
+    revertedTo
+  });
+}
+
+// Record a change to a review, given the review as saved (or as it was, for a delete)
+function recordReview(source, action, review, before) {
+  return record(source, {
+    entity: 'review',
+    entityId: review._id,
+    movieId: review.movieId,
+    action,
+    changes: diff(before, action === 'delete' ? null : reviewState(review))
+  });
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Reading the log
+
+// A page of a movie's events, newest first; with reviews, its reviews' events too.
+// Resolves to { events, total }.
+async function history(movieId, { reviews = false, page, limit }) {
+  const filter = reviews ? { movieId } : { movieId, entity: 'movie' };
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditEvent.countDocuments(filter)
+  ]);
+  return { events, total };
+}
+
+// The event that produced a revision of a movie, or null
+function findRevision(movieId, revision) {
+  return AuditEvent.findOne({ entityId: movieId, entity: 'movie', revision, snapshot: { $ne: null } });
+}
+
+module.exports = {
+  movieState,
+  reviewState,
+  diff,
+  recordMovie,
+  recordReview,
+  history,
+  findRevision
+};
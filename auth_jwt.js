@@ -2,6 +2,8 @@ var passport = require('passport');
 var JwtStrategy = require('passport-jwt').Strategy;
 var ExtractJwt = require('passport-jwt').ExtractJwt;
 var User = require('./Users');
+var errors = require('./errors');
+var mailer = require('./mailer');
 
 var opts = {};
 opts.jwtFromRequest = ExtractJwt.fromAuthHeaderWithScheme("jwt");
@@ -11,7 +13,8 @@ passport.use(new JwtStrategy(opts, async (jwt_payload, done) => {
     try {
         const user = await User.findById(jwt_payload.id);
         
-        if (user) {
+        // Tokens signed before the user's tokenVersion was bumped (logout everywhere, password change) are revoked
+        if (user && (jwt_payload.ver || 0) === (user.tokenVersion || 0)) {
             return done(null, user);
         } else {
             return done(null, false);
@@ -21,5 +24,52 @@ passport.use(new JwtStrategy(opts, async (jwt_payload, done) => {
     }
 }));
 
-exports.isAuthenticated = passport.authenticate('jwt', { session : false });
-exports.secret = opts.secretOrKey ;
\ No newline at end of file
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+var ROLES = ['user', 'editor', 'admin'];
+
+// Middleware requiring a valid access token; requests without one fail with a 401 UnauthorizedError
+exports.isAuthenticated = function(req, res, next) {
+    passport.authenticate('jwt', { session: false }, function(err, user) {
+        if (err) return next(err);
+        if (!user) return next(new errors.UnauthorizedError('A valid access token is required.'));
+        req.user = user;
+        next();
+    })(req, res, next);
+};
+
+// Middleware for routes open to everyone that show more to some users: sets req.user when the request
+// carries a valid access token and carries on anonymously otherwise
+exports.identifyUser = function(req, res, next) {
+    passport.authenticate('jwt', { session: false }, function(err, user) {
+        if (err) return next(err);
+        if (user) req.user = user;
+        next();
+    })(req, res, next);
+};
+exports.secret = opts.secretOrKey ;
+exports.ROLES = ROLES;
+
+// Whether a user holds the given role or a more privileged one
+exports.hasRole = function(user, role) {
+    return ROLES.indexOf(user.role || 'user') >= ROLES.indexOf(role);
+};
+
+// Middleware for use after isAuthenticated: reject users below the given role.
+// The role is read from the database user loaded by the JwtStrategy, so promotions and demotions apply immediately.
+exports.requireRole = function(role) {
+    return function(req, res, next) {
+        if (!req.user || !exports.hasRole(req.user, role)) {
+            return next(new errors.ForbiddenError(`This action requires the ${role} role.`));
+        }
+        next();
+    };
+};
+
+// Middleware for use after isAuthenticated: reject users who have not verified their email address yet.
+// Only while mail is delivered: without it nobody could get a verification token (see mailer.js).
+exports.requireVerifiedEmail = function(req, res, next) {
+    if (mailer.delivers() && (!req.user || !req.user.isVerified())) {
+        return next(new errors.ForbiddenError('Verify your email address first; POST /email/verify/resend mails a new token.', { code: 'email_not_verified' }));
+    }
+    next();
+};
\ No newline at end of file
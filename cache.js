@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// Application cache for the expensive movie reads, GET /movies and GET /movies/:movieId. An entry is the
+// serialized response body with its ETag, so a hit does no database work and a client whose If-None-Match
+// matches gets a bodyless 304. Handlers that change movies or reviews invalidate what they touched.
+
+const DEFAULT_TTL_MS = Number(process.env.CACHE_TTL_SECONDS || 60) * 1000; // Bounds staleness from changes made outside the API
+const DEFAULT_MAX_ENTRIES = 500;
+
+//----------------------------------------------------------------------------------------------------------
+// Stores. A store is any object with async get(key), set(key, value, ttlMs), getCounter(key) and
+// incrementCounter(key), so a shared cache such as Redis (GET, SET PX, INCR) can back several
+// server instances by writing one. Values are plain JSON-serializable objects.
+
+// In-process LRU: past max entries the least recently used one is dropped. Counters are kept apart from
+// the entries so they are never evicted; there is one per movie changed since the server started.
+function createMemoryStore({ max = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // Insertion order doubles as recency order: the first key is the least recently used
+  const counters = new Map();
+
+  return {
+    entries,
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    getCounter: async (key) => counters.get(key) || 0,
+    incrementCounter: async (key) => {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    }
+  };
+}
+
+let store = createMemoryStore({ max: Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES });
+
+// Replace the active store; returns the previous one so tests can restore it
+function setStore(newStore) {
+  const previous = store;
+  store = newStore;
+  return previous;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Keys carry generation counters: bumping "movies" drops every entry at once, bumping "movie-lists" drops
+// every page of GET /movies and bumping "movie:<id>" drops every variant of one movie, without having to
+// find the keys. A store failure is logged and treated as a miss, so an outage of the cache never takes
+// the API down.
+
+async function keyFor(kind, id, variant) {
+  const [all, generation] = await Promise.all([
+    store.getCounter('movies'),
+    store.getCounter(kind === 'list' ? 'movie-lists' : `movie:${id}`)
+  ]);
+  return kind === 'list' ? `movies:${all}:${generation}:${id}` : `movie:${all}:${id}:${generation}:${variant}`;
+}
+
+// Look an entry up. Resolves to { key, entry }, entry being null on a miss; on a miss, read the data and
+// hand it to put() with that key. The key is worked out once, before the read, so a change landing
+// between the read and put() stores the result under a generation that is already gone rather than
+// serving it as current.
+async function get(...parts) {
+  let key = null;
+  try {
+    key = await keyFor(...parts);
+    return { key, entry: await store.get(key) };
+  } catch (err) {
+    console.error('Cache store error:', err.message);
+    return { key, entry: null };
+  }
+}
+
+// Store an entry under the key get() returned
+async function put(key, entry) {
+  if (!key) return;
+  try {
+    await store.set(key, entry, DEFAULT_TTL_MS);
+  } catch (err) {
+    console.error('Cache store error:', err.message);
+  }
+}
+
+// A single movie as returned by GET /movies/:movieId. variant names the representation, e.g. "plain" or
+// which of its reviews are embedded.
+const getMovie = (id, variant) => get('movie', id, variant);
+
+// A page of GET /movies, keyed by its path and query string
+const getMovieList = (url) => get('list', url);
+
+// Drop the cached reads of the given movies, and every cached page since a change to any movie can alter
+// or reorder one. Call after creating, changing or deleting movies or their reviews.
+async function invalidateMovies(ids = []) {
+  try {
+    await Promise.all([store.incrementCounter('movie-lists'), ...ids.map(id => store.incrementCounter(`movie:${id}`))]);
+  } catch (err) {
+    console.error('Cache store error:', err.message);
+  }
+}
+
+// Drop everything, for changes touching too many movies to list (merging people, recomputing ratings)
+async function invalidateAll() {
+  try {
+    await store.incrementCounter('movies');
+  } catch (err) {
+    console.error('Cache store error:', err.message);
+  }
+}
+
+//----------------------------------------------------------------------------------------------------------
+// An entry for a JSON response body. The ETag defaults to a hash of the body; data holds anything else the
+// handler needs on a hit, such as the movies to record in analytics.
+function createEntry(payload, etag, data = {}) {
+  const body = JSON.stringify(payload);
+  return { body, etag: etag || `"${crypto.createHash('sha1').update(body).digest('base64url')}"`, ...data };
+}
+
+// Send an entry ({ body, etag }) with its ETag and Cache-Control, or 304 when If-None-Match already has it.
+// cacheControl is "private" for routes that need a token, "public" otherwise; either way clients and
+// proxies must revalidate, which costs little since a 304 comes straight from this cache.
+function send(req, res, entry, cacheControl) {
+  res.set({ ETag: entry.etag, 'Cache-Control': `${cacheControl}, no-cache` });
+  if (req.fresh) return res.status(304).end();
+  return res.status(200).type('json').send(entry.body);
+}
+
+module.exports = {
+  createMemoryStore,
+  setStore,
+  getMovie,
+  getMovieList,
+  put,
+  invalidateMovies,
+  invalidateAll,
+  createEntry,
+  send
+};
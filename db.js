@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// The one MongoDB connection every model shares. Models only define schemas; whatever runs them
+// (server.js start(), the scripts, the test setup) connects here first. Until then Mongoose buffers queries.
+
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30 * 1000;
+const DEFAULT_RETRIES = 10;
+
+// How long GET /ready waits for the database to answer a ping
+const PING_TIMEOUT_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Set by disconnect() so a connect() still retrying gives up
+let closing = false;
+
+// Connect, retrying with exponential backoff (0.5s, 1s, 2s, ... up to 30s between attempts).
+// Rejects with the last error once the retries (DB_CONNECT_RETRIES, default 10) are used up.
+async function connect(uri = process.env.DB, { retries = Number(process.env.DB_CONNECT_RETRIES || DEFAULT_RETRIES) } = {}) {
+  closing = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await mongoose.connect(uri);
+      console.log("Connected to MongoDB");
+      return mongoose.connection;
+    } catch (error) {
+      if (attempt >= retries || closing) throw error;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+      console.error(`MongoDB connection failed (${error.message}); retrying in ${delay} ms`);
+      await sleep(delay);
+      if (closing) throw error;
+    }
+  }
+}
+
+// Close the connection pool, letting queries already sent finish. An attempt to connect that is still
+// in progress cannot be cancelled and has nothing to drain, so it is abandoned rather than waited for.
+function disconnect() {
+  closing = true;
+  if (mongoose.connection.readyState === mongoose.STATES.connecting) return Promise.resolve();
+  return mongoose.disconnect();
+}
+
+// The connection state: "connected", "connecting", "disconnecting" or "disconnected", or "unresponsive"
+// when the driver thinks it is connected but the server does not answer a ping in time
+async function status() {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+  if (state !== 'connected') return state;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('ping timed out')), PING_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([mongoose.connection.db.admin().ping(), timeout]);
+    return 'connected';
+  } catch (error) {
+    return 'unresponsive';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  connect,
+  disconnect,
+  status
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { STATUS_CODES } = require('http');
+
+// Error responses follow RFC 7807 (application/problem+json). Each one carries a stable machine-readable
+// code; type is a relative URI naming that code. success: false and message are kept alongside the
+// problem fields so clients written against the old { success, message } envelope keep working.
+const PROBLEM_TYPE_BASE = '/problems/';
+
+//----------------------------------------------------------------------------------------------------------
+// Error classes. Route handlers pass these to next() (or throw them inside a try whose catch does) and
+// the error middleware below turns them into responses. extras may override the code, add headers, or
+// add members to the response body, e.g. new ConflictError('Already reviewed.', { reviewId }).
+
+class ApiError extends Error {
+  constructor(status, code, message, extras = {}) {
+    super(message);
+    const { code: customCode, headers, ...members } = extras;
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = customCode || code;
+    this.headers = headers || {};
+    this.members = members;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message, extras) { super(400, 'bad_request', message, extras); }
+}
+
+// Invalid fields, listed as { field, message } pairs
+class ValidationError extends ApiError {
+  constructor(message, errors, extras = {}) { super(400, 'validation_failed', message, { ...extras, errors }); }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message, extras) { super(401, 'unauthorized', message, extras); }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message, extras) { super(403, 'forbidden', message, extras); }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message, extras) { super(404, 'not_found', message, extras); }
+}
+
+class MethodNotAllowedError extends ApiError {
+  constructor(method, allowed) {
+    super(405, 'method_not_allowed', `${method} request not supported. Allowed: ${allowed}`, { headers: { Allow: allowed } });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, extras) { super(409, 'conflict', message, extras); }
+}
+
+class PreconditionFailedError extends ApiError {
+  constructor(message, extras) { super(412, 'precondition_failed', message, extras); }
+}
+
+class UnsupportedMediaTypeError extends ApiError {
+  constructor(message, extras) { super(415, 'unsupported_media_type', message, extras); }
+}
+
+class TooManyRequestsError extends ApiError {
+  constructor(message, retryAfter) {
+    super(429, 'rate_limited', `${message} Try again in ${retryAfter} second(s).`, { headers: { 'Retry-After': String(retryAfter) } });
+  }
+}
+
+const CLASSES_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: PreconditionFailedError,
+  415: UnsupportedMediaTypeError
+};
+
+// The error for a { status, message } result returned by a helper module (movie_patch, people, ...)
+function fromStatus(status, message, extras = {}) {
+  if (status === 400 && extras.errors) {
+    const { errors, ...rest } = extras;
+    return new ValidationError(message, errors, rest);
+  }
+  const ErrorClass = CLASSES_BY_STATUS[status];
+  return ErrorClass ? new ErrorClass(message, extras) : new ApiError(status, 'error', message, extras);
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Map errors raised by Mongoose, body-parser and multer onto API errors; anything else is a 500
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  // A malformed ObjectId or number in a query, e.g. findById('abc')
+  if (err.name === 'CastError') {
+    return new BadRequestError(`Invalid ${err.path}: "${err.value}".`, { code: 'invalid_id' });
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+    return new ValidationError(err.message, errors);
+  }
+  // Optimistic concurrency: another write saved the document first
+  if (err.name === 'VersionError') {
+    return new PreconditionFailedError('The resource changed while it was being updated. Fetch it again and retry.');
+  }
+  if (err.code === 11000) {
+    return new ConflictError('The request conflicts with existing data.', { code: 'duplicate' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('The request body is not valid JSON.', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'payload_too_large', 'The request body is too large.');
+  }
+  // A multipart upload over the limits, or with unexpected files (see images.js)
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new ApiError(413, 'payload_too_large', 'The file is too large.')
+      : new BadRequestError(`Invalid upload: ${err.message}.`, { code: 'invalid_upload' });
+  }
+  // Other client errors from body-parser and friends carry their own 4xx status
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return new ApiError(err.status, 'bad_request', err.message);
+  }
+  return null;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Middleware giving every request an id: the caller's X-Request-Id when it looks sane, otherwise a new one.
+// It is echoed in the X-Request-Id response header, in error bodies and in server logs.
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Final route: nothing matched the path
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}.`));
+}
+
+// Error middleware producing the problem+json envelope. Unexpected errors are logged with the request id
+// and answered with a generic 500; their message is only included outside production.
+function errorHandler(err, req, res, next) {
+  // Too late to send an error body (e.g. a failed export stream); let Express close the connection
+  if (res.headersSent) return next(err);
+
+  let apiError = toApiError(err);
+  if (!apiError) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    apiError = new ApiError(500, 'internal_error', 'Something went wrong. Please try again later.');
+    if (process.env.NODE_ENV !== 'production') apiError.members.debug = err.message;
+  }
+
+  res.set(apiError.headers);
+  res.status(apiError.status);
+  res.type('application/problem+json');
+  return res.json({
+    type: PROBLEM_TYPE_BASE + apiError.code,
+    title: STATUS_CODES[apiError.status] || 'Error',
+    status: apiError.status,
+    detail: apiError.message,
+    instance: req.originalUrl,
+    code: apiError.code,
+    requestId: req.id,
+    success: false,
+    message: apiError.message,
+    ...apiError.members
+  });
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  fromStatus,
+  requestId,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { UnsupportedMediaTypeError, BadRequestError } = require('./errors');
+
+// Movie posters. An upload is decoded and re-encoded in its own format, which drops metadata such as the
+// location a photo was taken, and resized into the thumbnail sizes. Each upload gets a new version, so
+// the files of one version never change and GET /movies/:movieId/image?v=<version> can be cached forever.
+
+const MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES || 5 * 1024 * 1024);
+
+// Accepted formats, by the name sharp detects from the file's content
+const FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Thumbnail widths in pixels; "original" is the upload at full size. Images are never enlarged.
+const THUMBNAIL_WIDTHS = { small: 160, medium: 480 };
+const SIZES = ['original', ...Object.keys(THUMBNAIL_WIDTHS)];
+
+//----------------------------------------------------------------------------------------------------------
+// Storage keeps the encoded files. A storage is any object with async put(key, buffer, contentType),
+// get(key) resolving to a Buffer or null, and delete(key), so object storage such as S3 can be added by
+// writing one. The built-in one keeps them on disk under IMAGE_DIR (default "uploads").
+
+// Files under dir, one per key
+function createDiskStorage(dir) {
+  const fileFor = (key) => path.join(dir, ...key.split('/'));
+  return {
+    put: async (key, buffer) => {
+      await fs.mkdir(path.dirname(fileFor(key)), { recursive: true });
+      await fs.writeFile(fileFor(key), buffer);
+    },
+    get: async (key) => {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    delete: async (key) => {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+// Keep files in memory, for tests
+function createMemoryStorage() {
+  const files = new Map();
+  return {
+    files,
+    put: async (key, buffer) => { files.set(key, buffer); },
+    get: async (key) => files.get(key) || null,
+    delete: async (key) => { files.delete(key); }
+  };
+}
+
+let storage = createDiskStorage(process.env.IMAGE_DIR || 'uploads');
+
+// Replace the active storage; returns the previous one so tests can restore it
+function setStorage(newStorage) {
+  const previous = storage;
+  storage = newStorage;
+  return previous;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Movie images. Movie.image records the stored version, format and dimensions.
+
+// Where a movie's image of one size is stored
+const keyFor = (movieId, image, size) => `movies/${movieId}/${image.version}/${size}.${FORMATS[image.format].extension}`;
+
+// The URL clients should use for a movie's poster; it changes with every upload
+const urlFor = (movieId, image) => `/movies/${movieId}/image?v=${image.version}`;
+
+// Route middleware reading a multipart/form-data upload with the image in the "image" field into req.file
+const parser = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_BYTES, files: 1 } }).single('image');
+function upload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next(new UnsupportedMediaTypeError('Upload the image as multipart/form-data in a field named "image".'));
+  }
+  parser(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.file) return next(new BadRequestError('Upload the image in a field named "image".', { code: 'image_missing' }));
+    next();
+  });
+}
+
+// Decode an upload and store it in every size. The declared content type is not trusted: the format is
+// read from the data itself. Resolves to { image } describing what was stored (see Movie.image), or
+// { status, error } when the data is not an accepted image.
+async function storeImage(movieId, buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = null;
+  }
+  if (!metadata || !FORMATS[metadata.format]) {
+    return { status: 415, error: 'The image must be a JPEG, PNG or WebP file.' };
+  }
+
+  const image = {
+    version: crypto.randomBytes(8).toString('hex'),
+    format: metadata.format,
+    contentType: FORMATS[metadata.format].contentType,
+    uploadedAt: new Date()
+  };
+
+  // Encode every size before storing any, so undecodable pixel data behind a valid header stores nothing
+  let encoded;
+  try {
+    encoded = await Promise.all(SIZES.map((size) => {
+      let pipeline = sharp(buffer).rotate(); // Apply the EXIF orientation before the metadata is dropped
+      if (THUMBNAIL_WIDTHS[size]) pipeline = pipeline.resize({ width: THUMBNAIL_WIDTHS[size], withoutEnlargement: true });
+      return pipeline.toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    }));
+  } catch (err) {
+    return { status: 415, error: 'The image could not be decoded.' };
+  }
+  Object.assign(image, { width: encoded[0].info.width, height: encoded[0].info.height });
+
+  try {
+    await Promise.all(SIZES.map((size, i) => storage.put(keyFor(movieId, image, size), encoded[i].data, image.contentType)));
+  } catch (err) {
+    await removeImage(movieId, image);
+    throw err;
+  }
+  return { image };
+}
+
+// The stored file of one size, or null
+function readImage(movieId, image, size) {
+  return storage.get(keyFor(movieId, image, size));
+}
+
+// Delete every size of a stored image. Failures are logged rather than raised: the movie no longer
+// points at the files, so at worst they are left behind.
+async function removeImage(movieId, image) {
+  if (!image || !image.version) return;
+  await Promise.all(SIZES.map(size => storage.delete(keyFor(movieId, image, size)).catch(err => {
+    console.error(`Failed to delete image ${keyFor(movieId, image, size)}:`, err.message);
+  })));
+}
+
+module.exports = {
+  MAX_BYTES,
+  SIZES,
+  createDiskStorage,
+  createMemoryStorage,
+  setStorage,
+  urlFor,
+  upload,
+  storeImage,
+  readImage,
+  removeImage
+};
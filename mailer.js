@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+//----------------------------------------------------------------------------------------------------------
+// Transports deliver mail. A transport is any object with an async send(message) method taking
+// { from, to, subject, text }, so SMTP or a provider's API can be added by writing one that forwards
+// messages there. MAIL_TRANSPORT picks a built-in one: "console" (the default) or "file" (MAIL_DIR).
+// Neither delivers mail, so production needs a real transport set with setTransport(). A transport that
+// does not deliver sets delivers: false, and posting reviews then does not require a verified address,
+// since no user could receive the token (see auth_jwt.js).
+
+const PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Print each message to the server log, for local development. With redact only the recipient and
+// subject are logged: bodies carry password reset and verification tokens, which must not end up in
+// production logs.
+function createConsoleTransport({ redact = false } = {}) {
+  return {
+    send: async (message) => {
+      console.log(`Mail to ${message.to}: ${message.subject}${redact ? ' (body not logged)' : `\n${message.text}`}`);
+    }
+  };
+}
+
+// Write each message as a JSON file in dir, to inspect what would have been sent
+function createFileTransport(dir) {
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  };
+}
+
+// Keep messages in memory, for tests
+function createMemoryTransport() {
+  const messages = [];
+  return {
+    messages,
+    send: async (message) => { messages.push(message); }
+  };
+}
+
+// Outside production the developer reads the log or the files, which is as good as delivery
+let transport = {
+  ...(process.env.MAIL_TRANSPORT === 'file'
+    ? createFileTransport(process.env.MAIL_DIR || 'mail')
+    : createConsoleTransport({ redact: PRODUCTION })),
+  delivers: !PRODUCTION
+};
+
+if (PRODUCTION) {
+  console.warn(`Mail is not delivered: MAIL_TRANSPORT is "${process.env.MAIL_TRANSPORT || 'console'}". ` +
+    'Password reset emails will not reach users, and email verification is not required to post reviews, ' +
+    'until a real transport is set.');
+}
+
+// Replace the active transport; returns the previous one so tests can restore it
+function setTransport(newTransport) {
+  const previous = transport;
+  transport = newTransport;
+  return previous;
+}
+
+// Whether the active transport gets mail to its recipients; any transport does unless it says otherwise
+function delivers() {
+  return transport.delivers !== false;
+}
+
+// Send a message through the active transport. Unlike analytics, failures reach the caller.
+function send({ to, subject, text }) {
+  return transport.send({ from: process.env.MAIL_FROM || 'no-reply@movie-reviews.local', to, subject, text });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport,
+  setTransport,
+  delivers,
+  send
+};
@@ -0,0 +1,33 @@
+// One-off migration: link the embedded actor entries of existing movies to Person documents,
+// creating one person per distinct name. Safe to re-run; only entries without a person are touched.
+//
+// Usage: node migrate_people.js
+require('dotenv').config();
+const db = require('./db');
+const Movie = require('./Movies');
+require('./Persons');
+
+async function migrate() {
+  let migrated = 0;
+  // Deleted movies too, so a movie restored later comes back with its actors linked
+  const movies = Movie.find({ actors: { $elemMatch: { person: { $exists: false } } } })
+    .setOptions({ withDeleted: true })
+    .cursor();
+
+  for await (const movie of movies) {
+    // The pre-save hook resolves each actor name; validation is skipped so older, incomplete movies still migrate
+    movie.markModified('actors');
+    await movie.save({ validateBeforeSave: false });
+    migrated++;
+  }
+  return migrated;
+}
+
+db.connect()
+  .then(migrate)
+  .then(migrated => console.log(`Linked the actors of ${migrated} movie(s) to people.`))
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
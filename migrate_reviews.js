@@ -0,0 +1,66 @@
+// One-off migration: attach the author's User document to reviews that only store a free-text username.
+//
+// Usage: node migrate_reviews.js [--dry-run]
+//
+// Reviews whose username matches no account are left untouched and reported. When one user has
+// several legacy reviews of the same movie, only the newest is attached to the account; the older
+// ones stay username-only (and outside the one-review-per-user index) so they can be reviewed by hand.
+require('dotenv').config();
+const db = require('./db');
+const User = require('./Users');
+const Review = require('./Reviews');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  const legacy = await Review.find({ user: { $exists: false } }).sort({ _id: -1 });
+  const usernames = [...new Set(legacy.map(r => r.username).filter(Boolean))];
+  const users = await User.find({ username: { $in: usernames } }).select('_id username');
+  const userByName = new Map(users.map(u => [u.username, u]));
+
+  // (movieId, user) pairs that already have a linked review
+  const linked = await Review.find({ user: { $exists: true } }).select('movieId user');
+  const taken = new Set(linked.map(r => `${r.movieId}:${r.user}`));
+
+  const report = { migrated: 0, unknownUser: [], duplicates: [] };
+
+  // Newest first, so the most recent review of a movie is the one that gets linked
+  for (const review of legacy) {
+    const user = userByName.get(review.username);
+    if (!user) {
+      report.unknownUser.push(String(review._id));
+      continue;
+    }
+
+    const key = `${review.movieId}:${user._id}`;
+    if (taken.has(key)) {
+      report.duplicates.push(String(review._id));
+      continue;
+    }
+    taken.add(key);
+
+    if (!dryRun) {
+      await Review.updateOne({ _id: review._id }, { $set: { user: user._id } }, { timestamps: false });
+    }
+    report.migrated++;
+  }
+
+  return report;
+}
+
+db.connect()
+  .then(migrate)
+  .then(report => {
+    console.log(`${dryRun ? '[dry run] ' : ''}Linked ${report.migrated} review(s) to their authors.`);
+    if (report.unknownUser.length > 0) {
+      console.log(`No account for the username on ${report.unknownUser.length} review(s): ${report.unknownUser.join(', ')}`);
+    }
+    if (report.duplicates.length > 0) {
+      console.log(`Left ${report.duplicates.length} older duplicate review(s) unlinked: ${report.duplicates.join(', ')}`);
+    }
+  })
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
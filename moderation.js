@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const Review = require('./Reviews');
+const Movie = require('./Movies');
+
+// Review moderation. New and edited reviews pass through a content filter that holds suspicious ones as
+// "pending"; users flag published reviews, and enough flags hold one too. Held reviews are hidden and left
+// out of ratings until an admin approves, edits or rejects them from the queue.
+
+// Reasons a user may give when flagging a review
+const FLAG_REASONS = ['spam', 'offensive', 'spoiler', 'off_topic', 'other'];
+
+// What a moderator can do with a review in the queue
+const ACTIONS = ['approve', 'reject', 'edit'];
+
+// Flags that hold a published review until a moderator looks at it
+const FLAG_THRESHOLD = Number(process.env.REVIEW_FLAG_THRESHOLD || 3);
+
+//----------------------------------------------------------------------------------------------------------
+// Content filter. Words come from MODERATION_WORDS_FILE (default moderation_words.txt), one per line.
+// Each word of a review is compared after lowercasing, removing accents, undoing look-alike substitutions
+// ("sh1t", "@ss") and dropping anything that is not a letter ("f.u.c.k"), so only whole words match.
+
+const SUBSTITUTIONS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+const LINK = /\bhttps?:\/\/|\bwww\.\S/i;
+
+function normalizeWord(word) {
+  return word
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '') // Accents, once NFKD has split them from their letters
+    .toLowerCase()
+    .replace(/[013457@$]/g, c => SUBSTITUTIONS[c])
+    .replace(/[^\p{L}]/gu, '');
+}
+
+function loadWords(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+let words = new Set(loadWords(process.env.MODERATION_WORDS_FILE || path.join(__dirname, 'moderation_words.txt')).map(normalizeWord));
+
+// Replace the word list; returns the previous one so tests can restore it
+function setWords(list) {
+  const previous = [...words];
+  words = new Set(list.map(normalizeWord).filter(Boolean));
+  return previous;
+}
+
+// What the filter objects to in a text: the listed words it contains, and "link" for URLs, which are
+// mostly spam. Empty when the text is fine.
+function checkText(text) {
+  const matches = new Set(String(text || '').split(/\s+/).map(normalizeWord).filter(word => words.has(word)));
+  if (LINK.test(text)) matches.add('link');
+  return [...matches];
+}
+
+// Set the status of a new or edited review: pending when the filter objects to its text, otherwise
+// published. A review that was hidden before the edit goes back to the queue instead, since only a
+// moderator can publish a rejected or flagged review. Load an edited review with "+moderation" so its
+// earlier moderation is kept.
+function screen(review, { wasHidden = false } = {}) {
+  const matches = checkText(review.review);
+  if (matches.length > 0) {
+    review.status = 'pending';
+    review.moderation = { ...(review.moderation ? review.moderation.toObject() : {}), heldFor: matches };
+  } else {
+    review.status = wasHidden ? 'pending' : 'published';
+  }
+  return review;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Flagging and the moderation queue. Helpers return { status, error } for the route to turn into an error.
+
+// Record a user's flag on a published review, as loaded by the caller, holding it once it reaches
+// FLAG_THRESHOLD. Resolves to { review, held } with the review as it is after the flag.
+async function flagReview(review, user, { reason, note }) {
+  if (!review.isPublished()) {
+    return { status: 404, error: `Review with id "${review._id}" not found.` };
+  }
+  if (review.isAuthoredBy(user)) {
+    return { status: 403, error: 'You cannot flag your own review.' };
+  }
+
+  // Checking for an earlier flag and adding this one in a single update stops a user flagging twice
+  const flagged = await Review.findOneAndUpdate(
+    { _id: review._id, 'flags.user': { $ne: user._id } },
+    { $push: { flags: { user: user._id, reason, note } }, $inc: { flagCount: 1 } },
+    { new: true, timestamps: false }
+  );
+  if (!flagged) {
+    return { status: 409, error: 'You have already flagged this review.', code: 'duplicate_flag' };
+  }
+
+  let heldReview = null;
+  if (flagged.flagCount >= FLAG_THRESHOLD) {
+    // Only the request that moves it out of published removes its rating
+    heldReview = await Review.findOneAndUpdate(
+      { _id: review._id, ...Review.PUBLISHED },
+      { status: 'pending', 'moderation.heldFor': ['flags'] },
+      { new: true, timestamps: false }
+    );
+    if (heldReview) await Movie.applyRatingChange(review.movieId, { remove: review.rating });
+  }
+  return { review: heldReview || flagged, held: Boolean(heldReview) };
+}
+
+// A page of the queue, most flagged first, then oldest. status picks "pending" (held) or "flagged"
+// (published but flagged since a moderator last looked); by default both. Resolves to { reviews, total }.
+async function queue({ status, page, limit }) {
+  const filters = {
+    pending: { status: 'pending' },
+    flagged: { flagCount: { $gt: 0 }, ...Review.PUBLISHED }
+  };
+  const filter = status ? filters[status] : { $or: Object.values(filters) };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('+flags +moderation')
+      .sort({ flagCount: -1, createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter)
+  ]);
+  return { reviews, total };
+}
+
+// Apply a moderator's decision to a review loaded with "+moderation": approve publishes the review, edit
+// replaces its text and publishes it, reject hides it. Either way its flags are dealt with and it leaves
+// the queue. The movie's rating gains or loses the review as it is published or hidden.
+async function moderate(review, moderator, { action, text, note }) {
+  if (action === 'edit' && typeof text !== 'string') {
+    return { status: 400, error: 'Editing a review needs its new text in "review".' };
+  }
+
+  const before = review.countedRating();
+  if (action === 'edit') review.review = text;
+  review.status = action === 'reject' ? 'rejected' : 'published';
+  review.flagCount = 0;
+  review.moderation = {
+    heldFor: review.moderation ? review.moderation.heldFor : [],
+    action,
+    by: moderator._id,
+    at: new Date(),
+    note
+  };
+  await review.save({ timestamps: false });
+
+  const after = review.countedRating();
+  if (before !== after) {
+    await Movie.applyRatingChange(review.movieId, { add: after, remove: before });
+  }
+  return { review };
+}
+
+module.exports = {
+  FLAG_REASONS,
+  ACTIONS,
+  setWords,
+  checkText,
+  screen,
+  flagReview,
+  queue,
+  moderate
+};
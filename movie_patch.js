@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jsonpatch = require('fast-json-patch');
+const { checkSchema } = require('./validate');
+
+// Fields editors may change through PUT and PATCH; ids, versions and rating aggregates are server-owned
+const EDITABLE_FIELDS = ['title', 'releaseDate', 'genre', 'actors'];
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+// Strong ETag for a movie: a hash of its JSON, so it changes with any field, including the rating
+// aggregates that reviews update without bumping the document version. Also used for the movie with its
+// reviews, whose tag then changes with the reviews too.
+function movieEtag(movie) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(movie)).digest('base64url')}"`;
+}
+
+// Whether the request's If-Match header (if any) allows writing to a movie with this ETag
+function ifMatchAllows(req, etag) {
+  const header = req.get('If-Match');
+  if (!header) return true;
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+// Plain copy of the editable fields of a movie
+function editableCopy(movie) {
+  const plain = movie.toObject({ depopulate: true });
+  const copy = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (plain[field] !== undefined) copy[field] = plain[field];
+  });
+  // Actor subdocument ids are internal; patches address actors by position
+  if (copy.actors) {
+    copy.actors = copy.actors.map(({ person, actorName, characterName }) => ({ person, actorName, characterName }));
+  }
+  return JSON.parse(JSON.stringify(copy));
+}
+
+// RFC 7386 JSON Merge Patch: objects merge recursively, null removes a member, anything else replaces
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) return patch;
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+// Top-level fields a JSON Patch operation reads or writes, from "/actors/0/actorName" -> "actors"
+function touchedFields(operation) {
+  return [operation.path, operation.from]
+    .filter(path => typeof path === 'string')
+    .map(path => path.split('/')[1]);
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Apply a PATCH body to a movie, choosing the format from the Content-Type header
+// (application/json is treated as a merge patch). Returns { fields } with the complete new editable
+// fields, or { status, message, errors } describing why the patch cannot be applied.
+function patchMovie(movie, req) {
+  const current = editableCopy(movie);
+  let patched;
+
+  if (req.is(JSON_PATCH)) {
+    if (!Array.isArray(req.body)) {
+      return { status: 400, message: 'A JSON Patch body must be an array of operations.' };
+    }
+    const outside = req.body.flatMap(touchedFields).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (outside.length > 0) {
+      return { status: 400, message: `Only ${EDITABLE_FIELDS.join(', ')} can be patched; "${outside[0]}" cannot.` };
+    }
+    try {
+      patched = jsonpatch.applyPatch(current, req.body, true, false).newDocument;
+    } catch (err) {
+      // A failed "test" operation means the movie is not in the state the client expected
+      const status = err.name === 'TEST_OPERATION_FAILED' ? 409 : 400;
+      return { status, message: `Cannot apply patch: ${err.message.split('\n')[0]}` };
+    }
+  } else if (req.is(MERGE_PATCH) || req.is('application/json')) {
+    if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return { status: 400, message: 'A merge patch body must be a JSON object.' };
+    }
+    const outside = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (outside.length > 0) {
+      return { status: 400, message: `Only ${EDITABLE_FIELDS.join(', ')} can be patched; "${outside[0]}" cannot.` };
+    }
+    patched = mergePatch(current, req.body);
+  } else {
+    return { status: 415, message: `PATCH accepts ${MERGE_PATCH} or ${JSON_PATCH}.` };
+  }
+
+  // The patched movie must still be a valid movie
+  const errors = checkSchema('MovieInput', patched);
+  if (errors.length > 0) {
+    return { status: 400, message: `Invalid movie after patch: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, errors };
+  }
+
+  return { fields: patched };
+}
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  EDITABLE_FIELDS,
+  movieEtag,
+  ifMatchAllows,
+  patchMovie
+};
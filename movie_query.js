@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Movie = require('./Movies');
+const Review = require('./Reviews');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Public sort keys and the movie fields they order by
+const SORT_FIELDS = {
+  title: 'title',
+  year: 'releaseDate',
+  rating: 'avgRating'
+};
+
+// Escape user input so it can be used as a literal inside a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse an optional integer query parameter, returning NaN when it is malformed
+function parseInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+// Parse an optional numeric query parameter, returning NaN when it is malformed
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  return isNaN(value) ? NaN : Number(value);
+}
+
+// Cursors are opaque to clients: the sort value and _id of the boundary movie
+function encodeCursor(movie, field) {
+  const value = movie[field] === undefined ? null : movie[field];
+  return Buffer.from(JSON.stringify({ v: value, id: String(movie._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return { value: v === undefined ? null : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Parse the limit and page parameters shared by paginated lists
+function parsePagination(query) {
+  const limit = parseInteger(query.limit, DEFAULT_LIMIT);
+  if (isNaN(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer.' };
+  }
+
+  const page = parseInteger(query.page, 1);
+  if (isNaN(page) || page < 1) {
+    return { error: 'page must be a positive integer.' };
+  }
+
+  return { limit: Math.min(limit, MAX_LIMIT), page };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Turn the GET /movies query string into filter, sort and pagination options.
+// Returns { error } with a client-facing message when a parameter is invalid.
+function parseMovieQuery(query) {
+  // Pagination: page based by default, cursor based when after/before is given
+  if ([query.page, query.after, query.before].filter(p => p !== undefined).length > 1) {
+    return { error: 'Use only one of page, after or before.' };
+  }
+
+  const pagination = parsePagination(query);
+  if (pagination.error) return pagination;
+  const options = { match: {}, minRating: undefined, ...pagination };
+
+  if (query.after !== undefined || query.before !== undefined) {
+    options.cursor = decodeCursor(query.after !== undefined ? query.after : query.before);
+    if (!options.cursor) {
+      return { error: 'Invalid pagination cursor.' };
+    }
+    options.cursor.direction = query.after !== undefined ? 'after' : 'before';
+  }
+
+  // Filter on one or more comma-separated genres
+  if (query.genre) {
+    const genres = String(query.genre).split(',').map(g => g.trim()).filter(Boolean);
+    const allowed = Movie.schema.path('genre').enumValues;
+    const invalid = genres.filter(g => !allowed.includes(g));
+    if (invalid.length > 0) {
+      return { error: `Unknown genre "${invalid[0]}". Allowed genres: ${allowed.join(', ')}.` };
+    }
+    options.match.genre = genres.length === 1 ? genres[0] : { $in: genres };
+  }
+
+  // Filter on an inclusive releaseDate range
+  const from = parseNumber(query.releaseDateFrom);
+  const to = parseNumber(query.releaseDateTo);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'releaseDateFrom and releaseDateTo must be numbers.' };
+  }
+  if (from !== undefined || to !== undefined) {
+    options.match.releaseDate = {};
+    if (from !== undefined) options.match.releaseDate.$gte = from;
+    if (to !== undefined) options.match.releaseDate.$lte = to;
+  }
+
+  // Filter on a case-insensitive partial actor name
+  if (query.actor) {
+    options.match['actors.actorName'] = { $regex: escapeRegex(String(query.actor)), $options: 'i' };
+  }
+
+  // Filter on the minimum average review rating (0-5)
+  options.minRating = parseNumber(query.minRating);
+  if (Number.isNaN(options.minRating) || options.minRating < 0 || options.minRating > 5) {
+    return { error: 'minRating must be a number between 0 and 5.' };
+  }
+
+  // Sort on title, year or rating; a leading "-" sorts descending
+  const sort = query.sort || (query.reviews === 'true' ? '-rating' : 'title');
+  const key = sort.replace(/^-/, '');
+  if (!SORT_FIELDS[key]) {
+    return { error: `Unknown sort "${key}". Sort by one of: ${Object.keys(SORT_FIELDS).join(', ')}.` };
+  }
+  options.sort = { field: SORT_FIELDS[key], order: sort.startsWith('-') ? -1 : 1 };
+
+  return options;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Match movies on the far side of a cursor when walking in the given order.
+// MongoDB sorts null below every number, so unrated movies need their own clauses.
+function cursorMatch(field, order, { value, id }) {
+  const op = order === 1 ? '$gt' : '$lt';
+  const clauses = [{ [field]: value, _id: { [op]: id } }];
+
+  if (value === null) {
+    if (order === 1) clauses.push({ [field]: { $ne: null } });
+  } else {
+    clauses.push({ [field]: { [op]: value } });
+    if (order === -1) clauses.push({ [field]: null });
+  }
+
+  return { $or: clauses };
+}
+
+// Join a movie's published reviews; rating aggregates are already stored on the movie
+function reviewLookup() {
+  return {
+    $lookup: {
+      from: 'reviews', // Join with 'reviews' collection
+      localField: '_id', // Movie _id
+      foreignField: 'movieId', // Review movieId
+      as: 'reviews', // Output array of reviews
+      pipeline: Review.embedPipeline()
+    }
+  };
+}
+
+// Build the aggregation for one page of movies plus the total match count
+function buildMoviePipeline(options, includeReviews) {
+  const { field } = options.sort;
+  // Walking backwards from a "before" cursor reverses the sort; the page is flipped back afterwards
+  const order = options.cursor && options.cursor.direction === 'before' ? -options.sort.order : options.sort.order;
+
+  const match = { ...options.match };
+  if (options.minRating !== undefined) {
+    match.avgRating = { $gte: options.minRating };
+  }
+  const pipeline = [{ $match: match }];
+
+  const page = [];
+  if (options.cursor) {
+    page.push({ $match: cursorMatch(field, order, options.cursor) });
+  }
+  page.push({ $sort: { [field]: order, _id: order } });
+  if (options.cursor) {
+    // One extra row tells us whether another page exists in this direction
+    page.push({ $limit: options.limit + 1 });
+  } else {
+    page.push({ $skip: (options.page - 1) * options.limit }, { $limit: options.limit });
+  }
+  // Join reviews for the returned page only
+  if (includeReviews) {
+    page.push(reviewLookup());
+  }
+
+  pipeline.push({
+    $facet: {
+      total: [{ $count: 'count' }],
+      movies: page
+    }
+  });
+
+  return pipeline;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Shape the aggregation result into the response body with next/prev links
+function buildPage(req, options, result) {
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  let movies = result.movies;
+  const { field } = options.sort;
+
+  // Rebuild the current URL with different pagination parameters
+  const link = (params) => {
+    const search = new URLSearchParams(req.query);
+    ['page', 'after', 'before'].forEach(p => search.delete(p));
+    Object.entries(params).forEach(([k, v]) => search.set(k, v));
+    return `${req.baseUrl}${req.path}?${search.toString()}`;
+  };
+
+  const body = { movies, total, limit: options.limit, links: { next: null, prev: null } };
+
+  if (options.cursor) {
+    const hasMore = movies.length > options.limit;
+    movies = movies.slice(0, options.limit);
+    if (options.cursor.direction === 'before') movies.reverse();
+    body.movies = movies;
+
+    if (movies.length > 0) {
+      const first = encodeCursor(movies[0], field);
+      const last = encodeCursor(movies[movies.length - 1], field);
+      // Arriving from a cursor means there is at least one movie on the side we came from
+      if (options.cursor.direction === 'after') {
+        body.links.prev = link({ before: first });
+        if (hasMore) body.links.next = link({ after: last });
+      } else {
+        body.links.next = link({ after: last });
+        if (hasMore) body.links.prev = link({ before: first });
+      }
+    }
+  } else {
+    body.page = options.page;
+    body.pages = Math.ceil(total / options.limit);
+    if (options.page < body.pages) body.links.next = link({ page: options.page + 1 });
+    if (options.page > 1) body.links.prev = link({ page: options.page - 1 });
+  }
+
+  return body;
+}
+
+module.exports = {
+  parsePagination,
+  parseMovieQuery,
+  buildMoviePipeline,
+  buildPage,
+  escapeRegex
+};
@@ -0,0 +1,362 @@
+const { once } = require('events');
+const Movie = require('./Movies');
+const Review = require('./Reviews');
+const User = require('./Users');
+const { checkSchema } = require('./validate');
+const { EDITABLE_FIELDS } = require('./movie_patch');
+const audit = require('./audit');
+const moderation = require('./moderation');
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+const CSV_TYPE = 'text/csv';
+const CSV_COLUMNS = ['title', 'releaseDate', 'genre', 'actors'];
+
+//----------------------------------------------------------------------------------------------------------
+// CSV encoding. Lists inside a cell (actors, reviews) separate entries with ";" and the parts of an
+// entry with ":", e.g. "Johnny Depp:Mad Hatter; Mia Wasikowska:Alice". A backslash escapes a literal
+// ";", ":" or "\" inside a name or review.
+
+const escapePart = (text) => String(text === undefined || text === null ? '' : text).replace(/[\\;:]/g, '\\$&');
+
+function encodeList(entries) {
+  return entries.map(parts => parts.map(escapePart).join(':')).join('; ');
+}
+
+function decodeList(cell) {
+  const entries = [];
+  let parts = [];
+  let current = '';
+  for (let i = 0; i < cell.length; i++) {
+    const ch = cell[i];
+    if (ch === '\\' && i + 1 < cell.length) {
+      current += cell[++i];
+    } else if (ch === ':') {
+      parts.push(current.trim());
+      current = '';
+    } else if (ch === ';') {
+      parts.push(current.trim());
+      entries.push(parts);
+      parts = [];
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current.trim());
+  if (parts.some(part => part !== '')) entries.push(parts);
+  return entries;
+}
+
+// Quote a CSV cell when it contains a delimiter, quote or newline
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Parse RFC 4180 CSV text into records, each with the line it starts on
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      if (record.length > 1 || record[0] !== '') records.push({ line: startLine, cells: record });
+      record = [];
+      cell = '';
+      startLine = ++line;
+    } else {
+      cell += ch;
+    }
+  }
+  record.push(cell);
+  if (record.length > 1 || record[0] !== '') records.push({ line: startLine, cells: record });
+  return records;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Turn an import body into rows of { row, movie, reviews } or { row, errors }.
+// Returns { error } when the body as a whole cannot be read.
+function parseImport(contentType, text) {
+  if (NDJSON_TYPES.includes(contentType)) {
+    return {
+      rows: text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, row }) => {
+          try {
+            const parsed = JSON.parse(line);
+            if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+              return { row, errors: [{ field: 'row', message: 'must be a JSON object' }] };
+            }
+            const { reviews, ...movie } = parsed;
+            return { row, movie, reviews: reviews || [] };
+          } catch (err) {
+            return { row, errors: [{ field: 'row', message: `is not valid JSON (${err.message})` }] };
+          }
+        })
+    };
+  }
+
+  if (contentType === CSV_TYPE) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) return { rows: [] };
+
+    const columns = header.cells.map(c => c.trim());
+    const missing = CSV_COLUMNS.filter(c => !columns.includes(c));
+    if (missing.length > 0) {
+      return { error: `CSV header is missing column(s): ${missing.join(', ')}.` };
+    }
+
+    return {
+      rows: records.map(({ line, cells }) => {
+        const value = (column) => (cells[columns.indexOf(column)] || '').trim();
+        const releaseDate = value('releaseDate');
+        return {
+          row: line,
+          movie: {
+            title: value('title'),
+            releaseDate: /^-?\d+$/.test(releaseDate) ? Number(releaseDate) : releaseDate,
+            genre: value('genre'),
+            actors: decodeList(value('actors')).map(([actorName, characterName]) => ({ actorName, characterName }))
+          },
+          reviews: columns.includes('reviews')
+            ? decodeList(value('reviews')).map(([username, rating, ...text]) => ({
+                username,
+                rating: rating === '' || isNaN(rating) ? rating : Number(rating),
+                review: text.join(':')
+              }))
+            : []
+        };
+      })
+    };
+  }
+
+  return { error: `Import accepts ${NDJSON_TYPES.join(' or ')} or ${CSV_TYPE}.` };
+}
+
+// Problems with a row's reviews, in the same { field, message } form as schema errors
+function reviewErrors(reviews) {
+  if (!Array.isArray(reviews)) return [{ field: 'reviews', message: 'must be an array' }];
+  return reviews.flatMap((review, i) => {
+    const errors = [];
+    if (!review || typeof review.username !== 'string' || review.username === '') {
+      errors.push({ field: `reviews.${i}.username`, message: 'is required' });
+    }
+    if (!review || typeof review.review !== 'string' || review.review === '') {
+      errors.push({ field: `reviews.${i}.review`, message: 'is required' });
+    }
+    if (!review || typeof review.rating !== 'number' || review.rating < 0 || review.rating > 5) {
+      errors.push({ field: `reviews.${i}.rating`, message: 'must be a number from 0 to 5' });
+    }
+    return errors;
+  });
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Validate and write imported rows. Movies are identified by title + releaseDate: an existing movie is
+// updated when upsert is set and reported as an error otherwise, and a deleted one is always an error.
+// With dryRun nothing is written and the report says what would have happened. Reviews that fail to
+// import are listed in the row's reviewErrors, apart from the movie's status. Changes are recorded in the
+// audit log as made by source, the request (see audit.js). Returns { summary, rows } with one entry per
+// input row; summary.reviewErrors counts the rows with review failures.
+async function importMovies(rows, { dryRun = false, upsert = false, source } = {}) {
+  const report = [];
+  const seen = new Map(); // title|releaseDate -> row number, to catch duplicates within the file
+  const touchedMovies = [];
+
+  for (const { row, movie: input, reviews, errors } of rows) {
+    if (errors) {
+      report.push({ row, status: 'error', errors });
+      continue;
+    }
+
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) fields[field] = input[field];
+    });
+    const rowErrors = [...checkSchema('MovieInput', fields, 'movie'), ...reviewErrors(reviews)];
+    if (rowErrors.length > 0) {
+      report.push({ row, status: 'error', errors: rowErrors });
+      continue;
+    }
+
+    const key = `${fields.title}|${fields.releaseDate}`;
+    if (seen.has(key)) {
+      report.push({ row, status: 'error', errors: [{ field: 'movie', message: `duplicates row ${seen.get(key)}` }] });
+      continue;
+    }
+    seen.set(key, row);
+
+    try {
+      // Deleted movies too: importing over one would otherwise add a second, live copy
+      let movie = await Movie.findOne({ title: fields.title, releaseDate: fields.releaseDate }).setOptions({ withDeleted: true });
+      const before = audit.movieState(movie);
+      let status;
+      if (movie && movie.deletedAt) {
+        report.push({ row, status: 'error', id: movie._id, errors: [{ field: 'movie', message: 'exists but is deleted (restore it to import into it)' }] });
+        continue;
+      } else if (movie && !upsert) {
+        report.push({ row, status: 'error', id: movie._id, errors: [{ field: 'movie', message: 'already exists (use upsert=true to update it)' }] });
+        continue;
+      } else if (movie) {
+        movie.set(fields);
+        status = movie.isModified() ? 'updated' : 'unchanged';
+      } else {
+        movie = new Movie(fields);
+        status = 'created';
+      }
+
+      if (dryRun) {
+        await movie.validate();
+        report.push({ row, status, id: movie._id, reviews: reviews.length });
+        continue;
+      }
+
+      await movie.save();
+      await audit.recordMovie(source, status === 'created' ? 'create' : 'update', movie, before);
+
+      // The movie is saved whatever happens to its reviews, so they are reported on their own
+      let imported = { count: 0, errors: [] };
+      if (reviews.length > 0) {
+        touchedMovies.push(movie._id);
+        try {
+          imported = await importReviews(movie, reviews, source);
+        } catch (err) {
+          imported.errors.push({ field: 'reviews', message: err.message });
+        }
+      }
+      report.push({
+        row, status, id: movie._id, reviews: imported.count,
+        ...(imported.errors.length > 0 ? { reviewErrors: imported.errors } : {})
+      });
+    } catch (err) {
+      report.push({ row, status: 'error', errors: [{ field: 'movie', message: err.message }] });
+    }
+  }
+
+  // Reviews were written directly, so rebuild the affected rating aggregates in one pass
+  if (touchedMovies.length > 0) {
+    await Movie.recomputeRatings({ _id: { $in: touchedMovies } });
+  }
+
+  const summary = { dryRun, total: report.length, created: 0, updated: 0, unchanged: 0, error: 0, reviewErrors: 0 };
+  report.forEach(r => {
+    summary[r.status]++;
+    if (r.reviewErrors) summary.reviewErrors++;
+  });
+  return { summary, rows: report };
+}
+
+// Create or update a movie's imported reviews, keyed by username. Reviews by usernames with an account
+// are attributed to that user; the rest are kept username-only like legacy reviews. Each one goes through
+// the content filter like a review posted through the API, so it may be held for moderation.
+// A review that fails does not stop the rest. Resolves to { count, errors }: how many were saved, and
+// { field, message } for each that was not.
+async function importReviews(movie, reviews, source) {
+  const users = await User.find({ username: { $in: reviews.map(r => r.username) } }).select('_id username');
+  const userByName = new Map(users.map(u => [u.username, u]));
+  const result = { count: 0, errors: [] };
+
+  for (const [i, { username, review, rating }] of reviews.entries()) {
+    try {
+      const user = userByName.get(username);
+      const existing = await Review.findOne({ movieId: movie._id, username }).select('+moderation');
+      const before = audit.reviewState(existing);
+      const saved = existing || new Review({ movieId: movie._id, username });
+      saved.set({ review, rating, ...(user ? { user: user._id } : {}) });
+      moderation.screen(saved, { wasHidden: Boolean(existing) && !existing.isPublished() });
+      await saved.save();
+      await audit.recordReview(source, existing ? 'update' : 'create', saved, before);
+      result.count++;
+    } catch (err) {
+      result.errors.push({ field: `reviews.${i}`, message: err.message });
+    }
+  }
+  return result;
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Stream every movie (optionally with its reviews) to the response as NDJSON or CSV. Resolves once the
+// export has been sent, or as soon as the client has gone away.
+async function exportMovies(res, { format, includeReviews }) {
+  const pipeline = [{ $sort: { title: 1, releaseDate: 1 } }];
+  if (includeReviews) {
+    pipeline.push({
+      $lookup: {
+        from: 'reviews',
+        localField: '_id',
+        foreignField: 'movieId',
+        as: 'reviews',
+        pipeline: [{ $match: Review.PUBLISHED }, { $sort: { createdAt: 1 } }] // Held and rejected reviews stay out
+      }
+    });
+  }
+
+  // The client can go away at any point, including while a full buffer waits to drain. write resolves to
+  // false once it has; the loop then stops, which closes the cursor rather than leave it open on the server.
+  const gone = new Promise(resolve => {
+    if (res.destroyed) resolve();
+    else res.once('close', resolve);
+  });
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !res.destroyed) await Promise.race([once(res, 'drain'), gone]);
+    return !res.destroyed;
+  };
+
+  if (format === 'csv') {
+    res.type(CSV_TYPE);
+    res.attachment('movies.csv');
+    if (!await write([...CSV_COLUMNS, ...(includeReviews ? ['reviews'] : [])].join(',') + '\r\n')) return;
+  } else {
+    res.type(NDJSON_TYPES[0]);
+    res.attachment('movies.ndjson');
+  }
+
+  for await (const movie of Movie.aggregate(pipeline).cursor()) {
+    const actors = (movie.actors || []).map(({ actorName, characterName }) => ({ actorName, characterName }));
+    const reviews = (movie.reviews || []).map(({ username, review, rating }) => ({ username, review, rating }));
+
+    if (format === 'csv') {
+      const cells = [movie.title, movie.releaseDate, movie.genre, encodeList(actors.map(a => [a.actorName, a.characterName]))];
+      if (includeReviews) cells.push(encodeList(reviews.map(r => [r.username, r.rating, r.review])));
+      if (!await write(cells.map(csvCell).join(',') + '\r\n')) break;
+    } else {
+      const line = { title: movie.title, releaseDate: movie.releaseDate, genre: movie.genre, actors };
+      if (includeReviews) line.reviews = reviews;
+      if (!await write(JSON.stringify(line) + '\n')) break;
+    }
+  }
+  if (res.destroyed) return;
+
+  res.end();
+}
+
+module.exports = {
+  NDJSON_TYPES,
+  CSV_TYPE,
+  parseImport,
+  importMovies,
+  exportMovies
+};
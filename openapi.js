@@ -0,0 +1,1223 @@
+const Movie = require('./Movies');
+const { ROLES } = require('./auth_jwt');
+const { EVENT_TYPES } = require('./analytics');
+const { PASSWORD_MIN_LENGTH } = require('./Users');
+const { REVIEW_CHOICES } = require('./accounts');
+const { STATUSES: REVIEW_STATUSES, SORTS: REVIEW_SORTS } = require('./Reviews');
+const { FLAG_REASONS, ACTIONS: MODERATION_ACTIONS } = require('./moderation');
+const { SIZES: IMAGE_SIZES, MAX_BYTES: IMAGE_MAX_BYTES } = require('./images');
+const { ENTITIES: AUDIT_ENTITIES, ACTIONS: AUDIT_ACTIONS } = require('./AuditEvents');
+
+// OpenAPI 3 description of every route in server.js. It is served at /openapi.json and drives the
+// request validation in validate.js, so a route's parameters and body are checked against what is
+// documented here.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+// Standard responses
+const ok = (description, schema) => ({ description, content: json(schema) });
+// Cached reads (see cache.js): a 200 with an ETag, or a bodyless 304 when If-None-Match already has it
+const cachedOk = (description, schema) => ({
+  ...ok(description, schema),
+  headers: { ETag: { schema: { type: 'string' } }, 'Cache-Control': { schema: { type: 'string' } } }
+});
+const notModified = { description: 'The representation matching If-None-Match is still current' };
+// Errors are RFC 7807 problem documents (see errors.js)
+const problem = (schema) => ({ 'application/problem+json': { schema } });
+const errorResponse = (description) => ({ description, content: problem(ref('Error')) });
+const errors = {
+  400: errorResponse('The request is invalid; errors lists every invalid field'),
+  401: errorResponse('Missing, invalid or revoked token'),
+  403: errorResponse('The user lacks the required role or does not own the resource'),
+  404: errorResponse('The resource does not exist'),
+  409: errorResponse('The request conflicts with existing data'),
+  412: errorResponse('If-Match does not match the current version, or another edit was saved first'),
+  413: errorResponse('The uploaded file is too large'),
+  415: errorResponse('Unsupported request body format'),
+  429: {
+    description: 'Rate limit spent, or too many failed signins for the username; Retry-After gives the seconds to wait',
+    headers: { 'Retry-After': { schema: { type: 'integer' } } },
+    content: problem(ref('Error'))
+  },
+  500: errorResponse('Unexpected server error')
+};
+const pick = (...codes) => Object.fromEntries(codes.map(code => [code, errors[code]]));
+
+// Reusable parameters
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const pathId = (name) => ({ name, in: 'path', required: true, schema: objectId });
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+const pageParams = [
+  query('limit', { type: 'integer', minimum: 1 }, 'Page size (default 20, capped at 100)'),
+  query('page', { type: 'integer', minimum: 1 }, 'Page number, starting at 1')
+];
+const reviewsParam = query('reviews', { type: 'string', enum: ['true', 'false'] }, 'Include reviews when "true"');
+const reviewSortParam = (name, defaultSort) => query(name, { type: 'string', enum: Object.keys(REVIEW_SORTS) },
+  `Review order (default ${defaultSort}); helpful ranks by the lower bound of the Wilson score interval of the votes`);
+
+const listParam = query('list', objectId, 'One of your lists (default: your watchlist)');
+const listInput = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+    visibility: { type: 'string', enum: ['private', 'public'] }
+  }
+};
+
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  schema: { type: 'string' },
+  description: 'ETag from GET /movies/{movieId} without reviews; the write is rejected with 412 if the movie changed since'
+};
+
+const ifNoneMatch = {
+  name: 'If-None-Match',
+  in: 'header',
+  required: false,
+  schema: { type: 'string' },
+  description: 'ETag of the copy you already have; answered with 304 and no body while it is still current'
+};
+
+const jwtAuth = [{ jwt: [] }];
+
+const success = (properties, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: { success: { type: 'boolean' }, message: { type: 'string' }, ...properties }
+});
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Movie Reviews API',
+    version: '1.0.0',
+    description: 'Movies, reviews and users. Authenticated routes take an "Authorization: JWT <token>" header from /signin. ' +
+      'Errors are application/problem+json documents with a stable code; every response carries an X-Request-Id header.'
+  },
+  components: {
+    securitySchemes: {
+      jwt: { type: 'apiKey', in: 'header', name: 'Authorization', description: '"JWT " followed by the token from /signin' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        description: 'An RFC 7807 problem document. success and message repeat the outcome and detail for older clients.',
+        required: ['type', 'title', 'status', 'detail', 'code', 'requestId', 'success'],
+        properties: {
+          type: { type: 'string', description: 'Relative URI naming the problem, e.g. /problems/not_found' },
+          title: { type: 'string', description: 'Summary of the HTTP status' },
+          status: { type: 'integer' },
+          detail: { type: 'string', description: 'What went wrong with this request' },
+          instance: { type: 'string', description: 'The request path' },
+          code: { type: 'string', description: 'Stable machine-readable error code, e.g. invalid_id or duplicate_review' },
+          requestId: { type: 'string', description: 'Also sent as the X-Request-Id header and logged with server errors' },
+          success: { type: 'boolean', enum: [false] },
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+          }
+        }
+      },
+      Actor: {
+        type: 'object',
+        description: 'An actor is named by actorName, or by the id of an existing person',
+        anyOf: [{ required: ['actorName'] }, { required: ['person'] }],
+        properties: {
+          person: objectId,
+          actorName: { type: 'string', minLength: 1 },
+          characterName: { type: 'string', minLength: 1 }
+        }
+      },
+      Person: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string' },
+          aliases: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      MovieInput: {
+        type: 'object',
+        required: ['title', 'releaseDate', 'genre', 'actors'],
+        properties: {
+          title: { type: 'string', minLength: 1, pattern: '\\S' },
+          releaseDate: { type: 'integer', minimum: 1900, maximum: 2100 },
+          genre: { type: 'string', enum: Movie.schema.path('genre').enumValues },
+          actors: { type: 'array', minItems: 1, items: ref('Actor') }
+        }
+      },
+      Movie: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          title: { type: 'string' },
+          releaseDate: { type: 'integer' },
+          genre: { type: 'string' },
+          actors: { type: 'array', items: ref('Actor') },
+          imageUrl: { type: 'string', description: 'Poster URL; changes with every upload' },
+          image: {
+            type: 'object',
+            properties: {
+              version: { type: 'string' },
+              format: { type: 'string', enum: ['jpeg', 'png', 'webp'] },
+              contentType: { type: 'string' },
+              width: { type: 'integer' },
+              height: { type: 'integer' },
+              uploadedAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          avgRating: { type: 'number', nullable: true },
+          reviewCount: { type: 'integer' },
+          ratingHistogram: { type: 'array', items: { type: 'integer' } },
+          reviews: { type: 'array', items: ref('Review') },
+          deletedAt: { type: 'string', format: 'date-time' },
+          deletedBy: { type: 'string' }
+        }
+      },
+      Review: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          movieId: { type: 'string' },
+          user: { type: 'string' },
+          username: { type: 'string' },
+          review: { type: 'string' },
+          rating: { type: 'number', minimum: 0, maximum: 5 },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          editedAt: { type: 'string', format: 'date-time' },
+          status: { type: 'string', enum: REVIEW_STATUSES, description: 'Only published reviews are shown to other users' },
+          helpfulVotes: { type: 'integer' },
+          unhelpfulVotes: { type: 'integer' },
+          helpfulness: { type: 'number', minimum: 0, maximum: 1, description: 'Wilson score lower bound of the share of helpful votes' },
+          flagCount: { type: 'integer' },
+          flags: {
+            type: 'array',
+            description: 'Only in the moderation queue',
+            items: {
+              type: 'object',
+              properties: {
+                user: { type: 'string' },
+                reason: { type: 'string', enum: FLAG_REASONS },
+                note: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
+          moderation: {
+            type: 'object',
+            description: 'Only in the moderation queue',
+            properties: {
+              heldFor: { type: 'array', items: { type: 'string' }, description: 'Words the content filter matched, "link" or "flags"' },
+              action: { type: 'string', enum: MODERATION_ACTIONS },
+              by: { type: 'string' },
+              at: { type: 'string', format: 'date-time' },
+              note: { type: 'string' }
+            }
+          }
+        }
+      },
+      VoteSummary: success({
+        vote: { type: 'boolean', nullable: true, description: 'Your vote: true for helpful, null when withdrawn' },
+        helpfulVotes: { type: 'integer' },
+        unhelpfulVotes: { type: 'integer' },
+        helpfulness: { type: 'number' }
+      }, ['vote', 'helpfulVotes', 'unhelpfulVotes']),
+      AuditEvent: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          entity: { type: 'string', enum: AUDIT_ENTITIES },
+          entityId: { type: 'string' },
+          movieId: { type: 'string' },
+          action: { type: 'string', enum: AUDIT_ACTIONS },
+          actor: {
+            type: 'object',
+            properties: { user: { type: 'string' }, username: { type: 'string' } }
+          },
+          route: { type: 'string', description: 'Method and route pattern of the change, e.g. "PUT /movies/:movieId"' },
+          requestId: { type: 'string' },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, before: {}, after: {} }
+            }
+          },
+          revision: { type: 'integer', description: 'Movie events: the revision the change produced' },
+          snapshot: { type: 'object', description: 'Movie events: title, releaseDate, genre and actors at that revision' },
+          revertedTo: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Watchlist: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string' },
+          isDefault: { type: 'boolean' },
+          visibility: { type: 'string', enum: ['private', 'public'] },
+          shareUrl: { type: 'string', nullable: true, description: 'Read-only link, set while the list is public' },
+          itemCount: { type: 'integer' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                movie: ref('Movie'),
+                addedAt: { type: 'string', format: 'date-time' },
+                watchedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string' },
+          username: { type: 'string' },
+          role: { type: 'string', enum: ROLES }
+        }
+      },
+      Profile: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string' },
+          username: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          bio: { type: 'string' },
+          location: { type: 'string' },
+          emailVerified: { type: 'boolean', description: 'Reviews can only be posted once this is true, while the server delivers mail' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      NewPassword: {
+        type: 'string',
+        minLength: PASSWORD_MIN_LENGTH,
+        description: `At least ${PASSWORD_MIN_LENGTH} characters (at most 72 bytes) with a letter and a number or symbol; ` +
+          'not a common password and not containing your name or username'
+      },
+      Readiness: success({
+        status: { type: 'string', enum: ['ready', 'unavailable'] },
+        database: { type: 'string', enum: ['connected', 'connecting', 'disconnecting', 'disconnected', 'unresponsive'] },
+        shuttingDown: { type: 'boolean' }
+      }, ['status', 'database']),
+      Credentials: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          name: { type: 'string' },
+          username: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 }
+        }
+      },
+      Tokens: success({
+        token: { type: 'string' },
+        refreshToken: { type: 'string' },
+        username: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', enum: ROLES }
+      }, ['token', 'refreshToken'])
+    }
+  },
+  paths: {
+    '/signup': {
+      post: {
+        summary: 'Create an account and email a verification token. The username is the email address; ' +
+          'the password must follow the NewPassword rules.',
+        requestBody: {
+          required: true,
+          content: json({ allOf: [ref('Credentials'), { properties: { username: { type: 'string', format: 'email' } } }] })
+        },
+        responses: { 201: ok('Account created', success({})), ...pick(400, 409, 429, 500) }
+      }
+    },
+    '/signin': {
+      post: {
+        summary: 'Sign in and receive an access token and refresh token',
+        requestBody: { required: true, content: json(ref('Credentials')) },
+        responses: { 200: ok('Signed in', ref('Tokens')), 401: errors[401], ...pick(400, 429, 500) }
+      }
+    },
+    '/token/refresh': {
+      post: {
+        summary: 'Exchange a refresh token for a new token pair; reusing a refresh token revokes its family',
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string', minLength: 1 } } })
+        },
+        responses: { 200: ok('New token pair', ref('Tokens')), 401: errors[401], ...pick(400, 500) }
+      }
+    },
+    '/logout': {
+      post: {
+        summary: 'Revoke a refresh token, or every session of the user with everywhere=true',
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['refreshToken'],
+            properties: { refreshToken: { type: 'string', minLength: 1 }, everywhere: { type: 'boolean' } }
+          })
+        },
+        responses: { 200: ok('Logged out', success({})), 401: errors[401], ...pick(400, 500) }
+      }
+    },
+    '/password/forgot': {
+      post: {
+        summary: 'Email a password reset token, valid for one hour; the answer is the same whether or not the account exists',
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['username'], properties: { username: { type: 'string', minLength: 1 } } })
+        },
+        responses: { 202: ok('Reset email sent if the account exists', success({})), ...pick(400, 429, 500) }
+      }
+    },
+    '/password/reset': {
+      post: {
+        summary: 'Set a new password with a reset token; every session is signed out',
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['token', 'password'],
+            properties: { token: { type: 'string', minLength: 1 }, password: ref('NewPassword') }
+          })
+        },
+        responses: { 200: ok('Password reset', success({})), ...pick(400, 429, 500) }
+      }
+    },
+    '/email/verify': {
+      post: {
+        summary: 'Verify the email address with the token mailed on signup; posting reviews needs a verified address',
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1 } } })
+        },
+        responses: { 200: ok('Email address verified', success({})), ...pick(400, 500) }
+      }
+    },
+    '/email/verify/resend': {
+      post: {
+        summary: 'Mail a new verification token, valid for two days',
+        security: jwtAuth,
+        responses: {
+          202: ok('Verification email sent', success({})),
+          401: errors[401],
+          409: errorResponse('The address is already verified'),
+          ...pick(429, 500)
+        }
+      }
+    },
+    '/users/me': {
+      get: {
+        summary: 'The signed-in user\'s account',
+        security: jwtAuth,
+        responses: { 200: ok('The account', success({ user: ref('Profile') })), 401: errors[401], ...pick(500) }
+      },
+      patch: {
+        summary: 'Change the name or profile fields; an empty string clears a field',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            additionalProperties: false,
+            minProperties: 1,
+            properties: {
+              name: { type: 'string', maxLength: 100 },
+              bio: { type: 'string', maxLength: 500 },
+              location: { type: 'string', maxLength: 100 }
+            }
+          })
+        },
+        responses: { 200: ok('Account updated', success({ user: ref('Profile') })), 401: errors[401], ...pick(400, 500) }
+      },
+      delete: {
+        summary: 'Delete the account, anonymizing or deleting its reviews; watchlists are deleted',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['password', 'reviews'],
+            properties: {
+              password: { type: 'string', minLength: 1 },
+              reviews: { type: 'string', enum: REVIEW_CHOICES, description: 'Keep reviews without the author\'s name, or delete them' }
+            }
+          })
+        },
+        responses: {
+          200: ok('Account deleted', success({})),
+          401: errors[401],
+          403: errorResponse('The password is incorrect'),
+          409: errorResponse('The user is the only admin'),
+          ...pick(400, 429, 500)
+        }
+      }
+    },
+    '/users/me/password': {
+      post: {
+        summary: 'Change the password. Every existing session is signed out and a new token pair is returned.',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['currentPassword', 'newPassword'],
+            properties: { currentPassword: { type: 'string', minLength: 1 }, newPassword: ref('NewPassword') }
+          })
+        },
+        responses: {
+          200: ok('Password changed', ref('Tokens')),
+          401: errors[401],
+          403: errorResponse('The current password is incorrect'),
+          ...pick(400, 429, 500)
+        }
+      }
+    },
+    '/movies': {
+      get: {
+        summary: 'List movies with filtering, sorting and pagination',
+        security: jwtAuth,
+        parameters: [
+          ...pageParams,
+          query('after', { type: 'string' }, 'Cursor from links.next; replaces page'),
+          query('before', { type: 'string' }, 'Cursor from links.prev; replaces page'),
+          query('genre', { type: 'string' }, 'One or more comma-separated genres'),
+          query('releaseDateFrom', { type: 'integer' }, 'Earliest release year'),
+          query('releaseDateTo', { type: 'integer' }, 'Latest release year'),
+          query('actor', { type: 'string' }, 'Case-insensitive partial actor name'),
+          query('minRating', { type: 'number', minimum: 0, maximum: 5 }, 'Minimum average rating'),
+          query('sort', { type: 'string', enum: ['title', '-title', 'year', '-year', 'rating', '-rating'] }, 'Sort order'),
+          reviewsParam,
+          ifNoneMatch
+        ],
+        responses: {
+          200: cachedOk('A page of movies', success({
+            movies: { type: 'array', items: ref('Movie') },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            links: {
+              type: 'object',
+              properties: { next: { type: 'string', nullable: true }, prev: { type: 'string', nullable: true } }
+            }
+          }, ['movies', 'total'])),
+          304: notModified,
+          401: errors[401],
+          ...pick(400, 500)
+        }
+      },
+      post: {
+        summary: 'Add a movie (editors)',
+        security: jwtAuth,
+        requestBody: { required: true, content: json(ref('MovieInput')) },
+        responses: { 200: ok('Movie saved', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 429, 500) }
+      }
+    },
+    '/movies/import': {
+      post: {
+        summary: 'Add or update movies and their reviews from NDJSON or CSV (editors)',
+        description: 'NDJSON lines are movie objects, optionally with a reviews array of { username, review, rating }. ' +
+          'CSV needs the columns title, releaseDate, genre and actors, plus optional reviews. List cells separate ' +
+          'entries with ";" and their parts with ":" (actors "Actor:Character", reviews "username:rating:review"); ' +
+          'a backslash escapes a literal ";", ":" or "\\". Movies are matched on title and releaseDate; a ' +
+          'soft-deleted movie is reported as an error rather than imported into.',
+        security: jwtAuth,
+        parameters: [
+          query('dryRun', { type: 'string', enum: ['true', 'false'] }, 'Validate and report without writing'),
+          query('upsert', { type: 'string', enum: ['true', 'false'] }, 'Update movies that already exist instead of reporting them')
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/x-ndjson': { schema: { type: 'string' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: ok('Per-row import report', success({
+            summary: { type: 'object' },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  status: { type: 'string', enum: ['created', 'updated', 'unchanged', 'error'] },
+                  id: { type: 'string' },
+                  reviews: { type: 'integer', description: 'Reviews imported' },
+                  errors: { type: 'array', items: { type: 'object' } },
+                  reviewErrors: { type: 'array', items: { type: 'object' }, description: 'Reviews that failed; the movie itself was saved' }
+                }
+              }
+            }
+          }, ['summary', 'rows'])),
+          401: errors[401],
+          ...pick(400, 403, 415, 429, 500)
+        }
+      }
+    },
+    '/movies/export': {
+      get: {
+        summary: 'Stream every movie as NDJSON or CSV, in the format POST /movies/import accepts',
+        security: jwtAuth,
+        parameters: [
+          query('format', { type: 'string', enum: ['ndjson', 'csv'] }, 'Output format (default ndjson)'),
+          reviewsParam
+        ],
+        responses: {
+          200: {
+            description: 'The movies',
+            content: { 'application/x-ndjson': { schema: { type: 'string' } }, 'text/csv': { schema: { type: 'string' } } }
+          },
+          401: errors[401],
+          ...pick(400, 500)
+        }
+      }
+    },
+    '/movies/{movieId}': {
+      parameters: [pathId('movieId')],
+      get: {
+        summary: 'Get a movie, optionally with its reviews',
+        parameters: [
+          reviewsParam,
+          reviewSortParam('reviewSort', 'helpful'),
+          query('reviewLimit', { type: 'integer', minimum: 1, maximum: 100 }, 'Embed only the first reviews in reviewSort order (default all)'),
+          ifNoneMatch
+        ],
+        responses: { 200: cachedOk('The movie', success({ movie: ref('Movie') })), 304: notModified, ...pick(400, 404, 500) }
+      },
+      put: {
+        summary: 'Replace a movie (editors)',
+        security: jwtAuth,
+        parameters: [ifMatch],
+        requestBody: { required: true, content: json(ref('MovieInput')) },
+        responses: { 200: ok('Movie updated', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 404, 412, 429, 500) }
+      },
+      patch: {
+        summary: 'Partially update a movie (editors). application/json bodies are treated as merge patches.',
+        security: jwtAuth,
+        parameters: [ifMatch],
+        requestBody: {
+          required: true,
+          content: {
+            'application/merge-patch+json': { schema: { type: 'object' } },
+            'application/json-patch+json': {
+              schema: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['op', 'path'],
+                  properties: {
+                    op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                    path: { type: 'string' },
+                    from: { type: 'string' },
+                    value: {}
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: ok('Movie updated', success({ movie: ref('Movie') })),
+          401: errors[401],
+          ...pick(400, 403, 404, 409, 412, 415, 429, 500)
+        }
+      },
+      delete: {
+        summary: 'Soft-delete a movie (admins); it is hidden, with its reviews, until restored or purged',
+        security: jwtAuth,
+        parameters: [ifMatch],
+        responses: { 200: ok('Movie deleted', success({})), 401: errors[401], ...pick(400, 403, 404, 412, 429, 500) }
+      }
+    },
+    '/movies/{movieId}/restore': {
+      parameters: [pathId('movieId')],
+      post: {
+        summary: 'Restore a soft-deleted movie with its reviews (admins)',
+        security: jwtAuth,
+        responses: { 200: ok('Movie restored', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 404, 409, 429, 500) }
+      }
+    },
+    '/movies/{movieId}/history': {
+      parameters: [pathId('movieId')],
+      get: {
+        summary: 'The movie\'s audit log: who changed what and when, newest first (editors)',
+        description: 'Each change to the movie is an event with its revision; reviews=true adds the events of its reviews. ' +
+          'Deleted and purged movies keep their history.',
+        security: jwtAuth,
+        parameters: [...pageParams, query('reviews', { type: 'string', enum: ['true', 'false'] }, 'Include review events when "true"')],
+        responses: {
+          200: ok('A page of events', success({
+            events: { type: 'array', items: ref('AuditEvent') },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            limit: { type: 'integer' }
+          }, ['events', 'total'])),
+          401: errors[401],
+          ...pick(400, 403, 404, 500)
+        }
+      }
+    },
+    '/movies/{movieId}/image': {
+      parameters: [pathId('movieId')],
+      get: {
+        summary: 'Get the movie\'s poster',
+        parameters: [
+          query('size', { type: 'string', enum: IMAGE_SIZES }, `Image size: ${IMAGE_SIZES.join(', ')} (default original)`),
+          query('v', { type: 'string' }, 'Image version, as in imageUrl; a current one makes the response cacheable for a year'),
+          ifNoneMatch
+        ],
+        responses: {
+          200: {
+            description: 'The image',
+            headers: { ETag: { schema: { type: 'string' } }, 'Cache-Control': { schema: { type: 'string' } } },
+            content: Object.fromEntries(['image/jpeg', 'image/png', 'image/webp'].map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+          },
+          304: notModified,
+          ...pick(400, 404, 500)
+        }
+      },
+      post: {
+        summary: 'Upload or replace the movie\'s poster (editors)',
+        description: `A JPEG, PNG or WebP file of up to ${IMAGE_MAX_BYTES} bytes. It is stored with ${IMAGE_SIZES.length - 1} ` +
+          'thumbnail sizes and any metadata removed, and the previous image is deleted.',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: { type: 'object', required: ['image'], properties: { image: { type: 'string', format: 'binary' } } }
+            }
+          }
+        },
+        responses: { 200: ok('Image saved', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 404, 412, 413, 415, 429, 500) }
+      },
+      delete: {
+        summary: 'Remove the movie\'s poster (editors)',
+        security: jwtAuth,
+        responses: { 200: ok('Image deleted', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 404, 412, 429, 500) }
+      }
+    },
+    '/people/duplicates': {
+      get: {
+        summary: 'Groups of people who are probably the same person, for merging (editors)',
+        security: jwtAuth,
+        responses: {
+          200: ok('Candidate groups', success({ groups: { type: 'array', items: { type: 'array', items: ref('Person') } } })),
+          401: errors[401],
+          ...pick(403, 500)
+        }
+      }
+    },
+    '/people/{personId}': {
+      parameters: [pathId('personId')],
+      get: {
+        summary: 'A person with their filmography and the review-weighted average rating of their movies',
+        responses: {
+          200: ok('The person', success({
+            person: ref('Person'),
+            movieCount: { type: 'integer' },
+            averageRating: { type: 'number', nullable: true },
+            reviewCount: { type: 'integer' },
+            filmography: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  movieId: { type: 'string' },
+                  title: { type: 'string' },
+                  releaseDate: { type: 'integer' },
+                  genre: { type: 'string' },
+                  avgRating: { type: 'number', nullable: true },
+                  characters: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }, ['person', 'filmography'])),
+          ...pick(400, 404, 500)
+        }
+      }
+    },
+    '/people/{personId}/merge': {
+      parameters: [pathId('personId')],
+      post: {
+        summary: 'Merge duplicate people into this person; their names become aliases (editors)',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['sources'],
+            properties: { sources: { type: 'array', minItems: 1, items: objectId } }
+          })
+        },
+        responses: {
+          200: ok('People merged', success({
+            person: ref('Person'),
+            merged: { type: 'array', items: ref('Person') },
+            moviesUpdated: { type: 'integer' }
+          })),
+          401: errors[401],
+          ...pick(400, 403, 404, 500)
+        }
+      }
+    },
+    '/movies/{movieId}/review': {
+      parameters: [pathId('movieId')],
+      get: {
+        summary: "List a movie's reviews",
+        parameters: [...pageParams, reviewSortParam('sort', 'newest')],
+        responses: {
+          200: ok('A page of reviews', success({
+            reviews: { type: 'array', items: ref('Review') },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            limit: { type: 'integer' }
+          }, ['reviews', 'total'])),
+          ...pick(400, 404, 500)
+        }
+      },
+      post: {
+        summary: 'Review a movie as the signed-in user (once per movie; needs a verified email address)',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['review', 'rating'],
+            properties: { review: { type: 'string', minLength: 1 }, rating: { type: 'number', minimum: 0, maximum: 5 } }
+          })
+        },
+        responses: {
+          201: ok('Review created', success({ review: ref('Review') })),
+          401: errors[401],
+          403: errorResponse('The user has not verified their email address (code email_not_verified)'),
+          ...pick(400, 404, 409, 429, 500)
+        }
+      }
+    },
+    '/reviews/{reviewId}': {
+      parameters: [pathId('reviewId')],
+      get: {
+        summary: 'Get a review; one held for moderation or rejected only for its author and admins',
+        responses: { 200: ok('The review', success({ review: ref('Review') })), ...pick(400, 404, 500) }
+      },
+      put: {
+        summary: 'Edit your own review',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            minProperties: 1,
+            properties: { review: { type: 'string', minLength: 1 }, rating: { type: 'number', minimum: 0, maximum: 5 } }
+          })
+        },
+        responses: { 200: ok('Review updated', success({ review: ref('Review') })), 401: errors[401], ...pick(400, 403, 404, 429, 500) }
+      },
+      delete: {
+        summary: 'Delete your own review (admins may delete any review)',
+        security: jwtAuth,
+        responses: { 200: ok('Review deleted', success({})), 401: errors[401], ...pick(400, 403, 404, 429, 500) }
+      }
+    },
+    '/reviews/{reviewId}/vote': {
+      parameters: [pathId('reviewId')],
+      put: {
+        summary: 'Vote a review helpful or not, replacing your earlier vote',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['helpful'], additionalProperties: false, properties: { helpful: { type: 'boolean' } } })
+        },
+        responses: { 200: ok('Vote recorded', ref('VoteSummary')), 401: errors[401], ...pick(400, 403, 404, 409, 429, 500) }
+      },
+      delete: {
+        summary: 'Withdraw your vote on a review',
+        security: jwtAuth,
+        responses: { 200: ok('Vote withdrawn', ref('VoteSummary')), 401: errors[401], ...pick(400, 403, 404, 429, 500) }
+      }
+    },
+    '/reviews/{reviewId}/flag': {
+      parameters: [pathId('reviewId')],
+      post: {
+        summary: 'Report a review to the moderators',
+        description: 'Each user can flag a review once. A review flagged by enough users is hidden until a moderator has looked at it.',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['reason'],
+            additionalProperties: false,
+            properties: {
+              reason: { type: 'string', enum: FLAG_REASONS },
+              note: { type: 'string', maxLength: 500 }
+            }
+          })
+        },
+        responses: { 201: ok('Flag recorded', success({})), 401: errors[401], ...pick(400, 403, 404, 409, 429, 500) }
+      }
+    },
+    '/users/me/recommendations': {
+      get: {
+        summary: 'Movies the signed-in user has not reviewed, from similar reviewers, then genre and actor affinity, then popularity',
+        security: jwtAuth,
+        parameters: [query('limit', { type: 'integer', minimum: 1, maximum: 50 }, 'Number of recommendations (default 10)')],
+        responses: {
+          200: ok('Recommendations, best first', success({
+            recommendations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['movie', 'source', 'reason'],
+                properties: {
+                  movie: ref('Movie'),
+                  score: { type: 'number' },
+                  source: { type: 'string', enum: ['similar', 'affinity', 'popular'] },
+                  reason: { type: 'string' }
+                }
+              }
+            }
+          }, ['recommendations'])),
+          401: errors[401],
+          ...pick(400, 500)
+        }
+      }
+    },
+    '/users/me/watchlist': {
+      get: {
+        summary: 'One of your lists with its movies: the default watchlist unless list names another',
+        security: jwtAuth,
+        parameters: [
+          listParam,
+          query('watched', { type: 'string', enum: ['true', 'false'] }, 'Only watched ("true") or unwatched ("false") movies')
+        ],
+        responses: { 200: ok('The list', success({ list: ref('Watchlist') })), 401: errors[401], ...pick(400, 404, 500) }
+      },
+      post: {
+        summary: 'Add a movie to your default watchlist, or to the list given in the body',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['movieId'], properties: { movieId: objectId, list: objectId } })
+        },
+        responses: { 201: ok('Movie added', success({ list: ref('Watchlist') })), 401: errors[401], ...pick(400, 404, 409, 500) }
+      }
+    },
+    '/users/me/watchlist/{movieId}': {
+      parameters: [pathId('movieId'), listParam],
+      delete: {
+        summary: 'Remove a movie from a list',
+        security: jwtAuth,
+        responses: { 200: ok('Movie removed', success({})), 401: errors[401], ...pick(400, 404, 500) }
+      }
+    },
+    '/users/me/watchlist/{movieId}/watched': {
+      parameters: [pathId('movieId'), listParam],
+      put: {
+        summary: 'Mark a movie watched, adding it to the list if it is not there',
+        security: jwtAuth,
+        requestBody: {
+          required: false,
+          content: json({
+            type: 'object',
+            properties: {
+              watchedAt: { type: 'string', format: 'date-time', description: 'When it was watched (default now)' },
+              list: objectId
+            }
+          })
+        },
+        responses: {
+          200: ok('Movie marked watched', success({ item: { type: 'object', properties: { movieId: { type: 'string' }, watchedAt: { type: 'string', format: 'date-time' } } } })),
+          401: errors[401],
+          ...pick(400, 404, 500)
+        }
+      },
+      delete: {
+        summary: 'Mark a movie as not watched',
+        security: jwtAuth,
+        responses: { 200: ok('Movie unmarked', success({})), 401: errors[401], ...pick(400, 404, 500) }
+      }
+    },
+    '/users/me/history': {
+      get: {
+        summary: 'Movies you have marked watched on any list, most recent first',
+        security: jwtAuth,
+        parameters: pageParams,
+        responses: {
+          200: ok('A page of watch history', success({
+            history: {
+              type: 'array',
+              items: { type: 'object', properties: { movie: ref('Movie'), watchedAt: { type: 'string', format: 'date-time' } } }
+            },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' }
+          }, ['history'])),
+          401: errors[401],
+          ...pick(400, 500)
+        }
+      }
+    },
+    '/users/me/lists': {
+      get: {
+        summary: 'Your lists, default watchlist first',
+        security: jwtAuth,
+        responses: { 200: ok('Lists without their movies', success({ lists: { type: 'array', items: ref('Watchlist') } })), 401: errors[401], ...pick(500) }
+      },
+      post: {
+        summary: 'Create a named list',
+        security: jwtAuth,
+        requestBody: { required: true, content: json({ ...listInput, required: ['name'] }) },
+        responses: { 201: ok('List created', success({ list: ref('Watchlist') })), 401: errors[401], ...pick(400, 409, 500) }
+      }
+    },
+    '/users/me/lists/{listId}': {
+      parameters: [pathId('listId')],
+      put: {
+        summary: 'Rename a list or change its visibility; public lists can be read by anyone with the shareUrl',
+        security: jwtAuth,
+        requestBody: { required: true, content: json({ ...listInput, minProperties: 1 }) },
+        responses: { 200: ok('List updated', success({ list: ref('Watchlist') })), 401: errors[401], ...pick(400, 404, 409, 500) }
+      },
+      delete: {
+        summary: 'Delete a list (not your default watchlist)',
+        security: jwtAuth,
+        responses: { 200: ok('List deleted', success({})), 401: errors[401], ...pick(400, 404, 409, 500) }
+      }
+    },
+    '/lists/shared/{shareToken}': {
+      parameters: [{ name: 'shareToken', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        summary: 'Read-only view of a public list',
+        responses: { 200: ok('The list', success({ list: ref('Watchlist') })), ...pick(404, 500) }
+      }
+    },
+    '/search': {
+      get: {
+        summary: 'Search movie titles, actors, characters and review text',
+        security: jwtAuth,
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1 } },
+          query('type', { type: 'string', enum: ['all', 'movie', 'review'] }, 'Restrict hits to one type'),
+          query('limit', { type: 'integer', minimum: 1 }, 'Number of hits (default 10, capped at 50)'),
+          query('prefix', { type: 'string', enum: ['true', 'false'] }, 'Match word prefixes, for typeahead'),
+          query('fuzzy', { type: 'string', enum: ['true', 'false'] }, 'Tolerate one wrong or missing letter')
+        ],
+        responses: {
+          200: ok('Ranked hits', success({ query: { type: 'string' }, results: { type: 'array', items: { type: 'object' } } }, ['results'])),
+          401: errors[401],
+          ...pick(400, 500)
+        }
+      }
+    },
+    '/admin/users': {
+      get: {
+        summary: 'List users and their roles (admins)',
+        security: jwtAuth,
+        responses: { 200: ok('Users', success({ users: { type: 'array', items: ref('User') } })), 401: errors[401], ...pick(403, 500) }
+      }
+    },
+    '/admin/users/{userId}/role': {
+      parameters: [pathId('userId')],
+      put: {
+        summary: 'Promote or demote a user (admins)',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['role'], properties: { role: { type: 'string', enum: ROLES } } })
+        },
+        responses: { 200: ok('Role changed', success({ user: ref('User') })), 401: errors[401], ...pick(400, 403, 404, 409, 500) }
+      }
+    },
+    '/admin/ratings/recompute': {
+      post: {
+        summary: 'Rebuild stored movie rating aggregates from reviews (admins)',
+        security: jwtAuth,
+        responses: {
+          200: ok('Aggregates rebuilt', success({ checked: { type: 'integer' }, repaired: { type: 'integer' } })),
+          401: errors[401],
+          ...pick(403, 500)
+        }
+      }
+    },
+    '/admin/movies/deleted': {
+      get: {
+        summary: 'Soft-deleted movies, most recently deleted first (admins)',
+        security: jwtAuth,
+        parameters: pageParams,
+        responses: {
+          200: ok('A page of deleted movies', success({
+            movies: { type: 'array', items: ref('Movie') },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            limit: { type: 'integer' }
+          }, ['movies'])),
+          401: errors[401],
+          ...pick(400, 403, 500)
+        }
+      }
+    },
+    '/admin/movies/{movieId}': {
+      parameters: [pathId('movieId')],
+      delete: {
+        summary: 'Permanently delete a soft-deleted movie and its reviews, in one transaction (admins)',
+        security: jwtAuth,
+        responses: {
+          200: ok('Movie purged', success({ reviewsDeleted: { type: 'integer' } })),
+          401: errors[401],
+          ...pick(400, 403, 404, 409, 500)
+        }
+      }
+    },
+    '/admin/movies/{movieId}/revert': {
+      parameters: [pathId('movieId')],
+      post: {
+        summary: 'Restore a movie\'s title, release date, genre and actors to an earlier revision from its history (admins)',
+        description: 'The revert is saved as a new revision and recorded in the history. The poster is not reverted.',
+        security: jwtAuth,
+        parameters: [ifMatch],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['revision'],
+            additionalProperties: false,
+            properties: { revision: { type: 'integer', minimum: 0, description: 'A revision from GET /movies/{movieId}/history' } }
+          })
+        },
+        responses: { 200: ok('Movie reverted', success({ movie: ref('Movie') })), 401: errors[401], ...pick(400, 403, 404, 412, 429, 500) }
+      }
+    },
+    '/admin/consistency': {
+      get: {
+        summary: 'Report reviews whose movie no longer exists (admins)',
+        security: jwtAuth,
+        responses: {
+          200: ok('Consistency report', success({
+            orphanedReviews: { type: 'integer' },
+            movies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  movieId: { type: 'string' },
+                  count: { type: 'integer' },
+                  reviewIds: { type: 'array', items: { type: 'string' }, description: 'Up to 20 of the orphaned reviews' }
+                }
+              }
+            },
+            reviewsOfDeletedMovies: { type: 'integer', description: 'Reviews kept for soft-deleted movies' }
+          }, ['orphanedReviews'])),
+          401: errors[401],
+          ...pick(403, 500)
+        }
+      }
+    },
+    '/admin/reviews/moderation': {
+      get: {
+        summary: 'The moderation queue: held reviews and flagged ones, most flagged first, then oldest (admins)',
+        security: jwtAuth,
+        parameters: [
+          ...pageParams,
+          query('status', { type: 'string', enum: ['pending', 'flagged'] }, 'Only held ("pending") or only flagged published reviews')
+        ],
+        responses: {
+          200: ok('A page of the queue', success({
+            reviews: { type: 'array', items: ref('Review') },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pages: { type: 'integer' },
+            limit: { type: 'integer' }
+          }, ['reviews', 'total'])),
+          401: errors[401],
+          ...pick(400, 403, 500)
+        }
+      }
+    },
+    '/admin/reviews/{reviewId}/moderation': {
+      parameters: [pathId('reviewId')],
+      post: {
+        summary: 'Approve, edit or reject a review (admins)',
+        description: 'approve publishes the review, edit replaces its text with review and publishes it, reject hides it. ' +
+          'Either way it leaves the queue.',
+        security: jwtAuth,
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['action'],
+            additionalProperties: false,
+            properties: {
+              action: { type: 'string', enum: MODERATION_ACTIONS },
+              review: { type: 'string', minLength: 1, description: 'The new text, for edit' },
+              note: { type: 'string', maxLength: 500, description: 'Why, for other moderators and the author' }
+            }
+          })
+        },
+        responses: { 200: ok('Decision applied', success({ review: ref('Review') })), 401: errors[401], ...pick(400, 403, 404, 500) }
+      }
+    },
+    '/analytics/movies': {
+      get: {
+        summary: 'Request counts by movie, genre and route over a time window (admins)',
+        security: jwtAuth,
+        parameters: [
+          query('from', { type: 'string' }, 'Window start as an ISO date (default 7 days before to)'),
+          query('to', { type: 'string' }, 'Window end as an ISO date (default now)'),
+          query('type', { type: 'string', enum: EVENT_TYPES }, 'Restrict to one event type')
+        ],
+        responses: { 200: ok('The report', success({ report: { type: 'object' } })), 401: errors[401], ...pick(400, 403, 500) }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        responses: { 200: { description: 'The OpenAPI document', content: json({ type: 'object' }) } }
+      }
+    },
+    '/docs': {
+      get: {
+        summary: 'Interactive API documentation',
+        responses: { 200: { description: 'HTML documentation page', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/health': {
+      get: {
+        summary: 'Liveness check: the process is up',
+        responses: { 200: ok('Alive', success({ status: { type: 'string', enum: ['ok'] }, uptime: { type: 'number' } })) }
+      }
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check: the database answers and the server is not shutting down',
+        responses: {
+          200: ok('Ready to serve requests', ref('Readiness')),
+          503: ok('Not ready; database gives the connection state', ref('Readiness'))
+        }
+      }
+    }
+  }
+};
+
+module.exports = document;
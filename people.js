@@ -0,0 +1,159 @@
+const Movie = require('./Movies');
+const Person = require('./Persons');
+const audit = require('./audit');
+
+// Looser key than normalizedName for spotting duplicates: word order and spaces ignored
+const looseKey = (normalizedName) => normalizedName.split(' ').sort().join('');
+
+// Classic edit distance between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+//----------------------------------------------------------------------------------------------------------
+// A person with every movie they appear in, newest first, and the review-weighted average rating of those movies.
+// Resolves to null when the person does not exist.
+async function filmography(personId) {
+  const person = await Person.findById(personId);
+  if (!person) return null;
+
+  const movies = await Movie.find({ 'actors.person': person._id })
+    .select('title releaseDate genre avgRating reviewCount ratingSum actors')
+    .sort({ releaseDate: -1, title: 1 });
+
+  let reviewCount = 0;
+  let ratingSum = 0;
+  const credits = movies.map(movie => {
+    reviewCount += movie.reviewCount || 0;
+    ratingSum += movie.ratingSum || 0;
+    return {
+      movieId: movie._id,
+      title: movie.title,
+      releaseDate: movie.releaseDate,
+      genre: movie.genre,
+      avgRating: movie.avgRating,
+      // Someone can play more than one character in a movie
+      characters: movie.actors
+        .filter(actor => actor.person && actor.person.equals(person._id))
+        .map(actor => actor.characterName)
+        .filter(Boolean)
+    };
+  });
+
+  return {
+    person,
+    movieCount: credits.length,
+    averageRating: reviewCount > 0 ? ratingSum / reviewCount : null,
+    reviewCount,
+    filmography: credits
+  };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Groups of people who are probably the same person: names that match once word order is ignored, or
+// that are within two edits of each other and share a surname (e.g. "Jonny Depp" and "Johnny Depp")
+async function findDuplicates() {
+  const people = await Person.find().select('name normalizedName').sort({ name: 1 });
+
+  // Union-find over people so overlapping pairs end up in one group
+  const parent = people.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const join = (i, j) => { parent[root(i)] = root(j); };
+
+  const keys = people.map(p => looseKey(p.normalizedName));
+  const bySurname = new Map();
+  people.forEach((person, i) => {
+    const surname = person.normalizedName.split(' ').pop();
+    if (!bySurname.has(surname)) bySurname.set(surname, []);
+    bySurname.get(surname).push(i);
+  });
+
+  const byKey = new Map();
+  keys.forEach((key, i) => {
+    if (byKey.has(key)) join(i, byKey.get(key));
+    else byKey.set(key, i);
+  });
+  bySurname.forEach(indexes => {
+    for (let a = 0; a < indexes.length; a++) {
+      for (let b = a + 1; b < indexes.length; b++) {
+        const [i, j] = [indexes[a], indexes[b]];
+        if (editDistance(people[i].normalizedName, people[j].normalizedName) <= 2) join(i, j);
+      }
+    }
+  });
+
+  const groups = new Map();
+  people.forEach((person, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push({ _id: person._id, name: person.name });
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Merge duplicate people into one: their movie credits move to the target (under the target's name),
+// their names become aliases of the target so future movies resolve to it, and they are deleted. Each
+// movie whose credits change is recorded in the audit log as changed by source, the request (see audit.js).
+// Returns { error, status } when a person is missing or the request merges someone into themselves.
+async function mergePeople(targetId, sourceIds, { source } = {}) {
+  const ids = [...new Set(sourceIds.map(String))];
+  if (ids.includes(String(targetId))) {
+    return { status: 400, error: 'A person cannot be merged into themselves.' };
+  }
+
+  const target = await Person.findById(targetId);
+  if (!target) {
+    return { status: 404, error: `Person with id "${targetId}" not found.` };
+  }
+  const sources = await Person.find({ _id: { $in: ids } });
+  if (sources.length !== ids.length) {
+    const found = sources.map(p => String(p._id));
+    return { status: 404, error: `Person with id "${ids.find(id => !found.includes(id))}" not found.` };
+  }
+  const sourceObjectIds = sources.map(p => p._id);
+
+  // Soft-deleted movies are included, so their credits are right if they are restored
+  const credited = { 'actors.person': { $in: sourceObjectIds } };
+  const affected = await Movie.find(credited).setOptions({ withDeleted: true });
+
+  // Re-point the credits; bumping __v makes editors holding an old ETag re-read the movie
+  const moved = await Movie.updateMany(
+    credited,
+    {
+      $set: { 'actors.$[credit].person': target._id, 'actors.$[credit].actorName': target.name },
+      $inc: { __v: 1 }
+    },
+    { arrayFilters: [{ 'credit.person': { $in: sourceObjectIds } }] }
+  );
+
+  const before = new Map(affected.map(movie => [String(movie._id), audit.movieState(movie)]));
+  const updated = await Movie.find({ _id: { $in: affected.map(movie => movie._id) } }).setOptions({ withDeleted: true });
+  for (const movie of updated) {
+    await audit.recordMovie(source, 'update', movie, before.get(String(movie._id)));
+  }
+
+  const aliases = sources.flatMap(p => [p.normalizedName, ...(p.aliases || [])]);
+  await Person.updateOne({ _id: target._id }, { $addToSet: { aliases: { $each: aliases } } });
+  await Person.deleteMany({ _id: { $in: sourceObjectIds } });
+
+  return {
+    person: await Person.findById(target._id),
+    merged: sources.map(p => ({ _id: p._id, name: p.name })),
+    moviesUpdated: moved.modifiedCount
+  };
+}
+
+module.exports = {
+  filmography,
+  findDuplicates,
+  mergePeople
+};
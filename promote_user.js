@@ -0,0 +1,31 @@
+// Set a user's role from the command line. This is how the first admin is created, since
+// PUT /admin/users/:userId/role itself requires an admin.
+//
+// Usage: node promote_user.js <username> [user|editor|admin]   (role defaults to admin)
+require('dotenv').config();
+const db = require('./db');
+const User = require('./Users');
+const { ROLES } = require('./auth_jwt');
+
+const [username, role = 'admin'] = process.argv.slice(2);
+
+async function promote() {
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Usage: node promote_user.js <username> [${ROLES.join('|')}]`);
+  }
+
+  const user = await User.findOneAndUpdate({ username }, { role }, { new: true, runValidators: true });
+  if (!user) {
+    throw new Error(`No user with username "${username}".`);
+  }
+  return user;
+}
+
+db.connect()
+  .then(promote)
+  .then(user => console.log(`User "${user.username}" now has the ${user.role} role.`))
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
@@ -0,0 +1,196 @@
+const RateLimit = require('./RateLimits');
+const { TooManyRequestsError } = require('./errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How many requests each key may make per window
+const BUDGETS = {
+  signin: { max: 30, windowMs: 15 * MINUTE, per: 'IP address' },
+  signup: { max: 10, windowMs: HOUR, per: 'IP address' },
+  movieWrite: { max: 100, windowMs: HOUR, per: 'user' },
+  reviewWrite: { max: 30, windowMs: HOUR, per: 'user' },
+  reviewVote: { max: 300, windowMs: HOUR, per: 'user' }, // Helpfulness votes, changed and withdrawn ones included
+  passwordCheck: { max: 10, windowMs: HOUR, per: 'user' }, // Account routes that ask for the current password
+  accountMail: { max: 5, windowMs: HOUR, per: 'IP address' } // Password reset and verification emails
+};
+
+// Failed password checks allowed per username before it is locked. Each further failure locks it
+// twice as long as the one before (1 minute, 2, 4, ... up to an hour); failures are forgotten a day
+// after the first one, or as soon as the right password is given.
+const LOCKOUT = { freeAttempts: 5, baseMs: MINUTE, maxMs: HOUR, windowMs: 24 * HOUR };
+
+// Most keys the memory store keeps. Past it, expired counters are dropped and then the oldest live ones,
+// so a flood of distinct keys cannot grow it without bound (at worst those keys start counting afresh).
+const MAX_MEMORY_KEYS = 10000;
+
+//----------------------------------------------------------------------------------------------------------
+// Stores keep a counter per key that starts over once its window has passed. A store is any object with
+// async increment(key, windowMs) -> { count, resetAt }, get(key) -> { count, resetAt } or null, and
+// reset(key).
+
+// Counters in this process only; fine for a single instance and for tests
+function createMemoryStore() {
+  const counters = new Map(); // Insertion order: the first key is the oldest counter
+
+  const live = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let counter = live(key);
+      if (!counter) {
+        if (counters.size >= MAX_MEMORY_KEYS) {
+          counters.forEach((_, k) => live(k));
+          for (const oldest of counters.keys()) {
+            if (counters.size < MAX_MEMORY_KEYS) break;
+            counters.delete(oldest);
+          }
+        }
+        counter = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    async get(key) {
+      const counter = live(key);
+      return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+// Counters in the ratelimits collection, shared by every instance of the API
+function createMongoStore() {
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      // One atomic update: count on within the current window, or start a new one
+      const live = { $gt: ['$resetAt', now] };
+      const counter = await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [live, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    },
+    async get(key) {
+      const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return counter ? { count: counter.count, resetAt: counter.resetAt.getTime() } : null;
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+
+// Replace the active store; returns the previous one so tests can restore it
+function setStore(newStore) {
+  const previous = store;
+  store = newStore;
+  return previous;
+}
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+//----------------------------------------------------------------------------------------------------------
+// Middleware spending one request of the named budget. Requests are counted per IP address, or per
+// signed-in user for budgets kept per user (list those routes after isAuthenticated). Every response
+// carries the RateLimit-* headers; once the budget is spent the answer is 429 with Retry-After.
+// If the store fails the request is let through, so an outage of the store never takes the API down.
+function limit(name) {
+  const { max, windowMs, per } = BUDGETS[name];
+
+  return async (req, res, next) => {
+    const who = per === 'user' ? String(req.user._id) : req.ip;
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${who}`, windowMs);
+    } catch (err) {
+      console.error('Rate limit store error:', err.message);
+      return next();
+    }
+
+    const reset = secondsUntil(counter.resetAt);
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowMs / 1000}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+      'RateLimit-Reset': String(reset)
+    });
+
+    if (counter.count > max) {
+      return next(new TooManyRequestsError('Too many requests.', reset));
+    }
+    next();
+  };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Signin lockout, kept per username whether or not an account exists so the answer does not reveal which
+// usernames are registered. Store failures are logged and treated as "not locked".
+
+const lockoutKey = (username) => String(username).toLowerCase();
+
+// Seconds until the username's lockout ends, or 0 when it is not locked out
+async function lockedFor(username) {
+  try {
+    const lock = await store.get(`signin-lock:${lockoutKey(username)}`);
+    return lock ? secondsUntil(lock.resetAt) : 0;
+  } catch (err) {
+    console.error('Rate limit store error:', err.message);
+    return 0;
+  }
+}
+
+// Count a failed password check, locking the username once the free attempts are used up.
+// Locked usernames are rejected before their password is checked, so each lock starts a fresh window.
+async function recordSigninFailure(username) {
+  try {
+    const { count } = await store.increment(`signin-fail:${lockoutKey(username)}`, LOCKOUT.windowMs);
+    if (count >= LOCKOUT.freeAttempts) {
+      const lockMs = Math.min(LOCKOUT.baseMs * 2 ** (count - LOCKOUT.freeAttempts), LOCKOUT.maxMs);
+      await store.increment(`signin-lock:${lockoutKey(username)}`, lockMs);
+    }
+  } catch (err) {
+    console.error('Rate limit store error:', err.message);
+  }
+}
+
+// Forget earlier failures once the right password is given
+async function clearSigninFailures(username) {
+  try {
+    await store.reset(`signin-fail:${lockoutKey(username)}`);
+  } catch (err) {
+    console.error('Rate limit store error:', err.message);
+  }
+}
+
+module.exports = {
+  BUDGETS,
+  LOCKOUT,
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  limit,
+  lockedFor,
+  recordSigninFailure,
+  clearSigninFailures
+};
@@ -0,0 +1,208 @@
+const Movie = require('./Movies');
+const Review = require('./Reviews');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// A review counts as "liked" when it lands in the 4 or 5 star histogram buckets (see starOf in Movies.js)
+const LIKED_RATING = 3.5;
+
+// Only this many of the most recent likes of the user's liked movies are followed to other reviewers,
+// which bounds the work per request however many reviews there are
+const MAX_NEIGHBOUR_REVIEWS = 500;
+
+// Popularity is a rating average pulled towards this prior, so one 5-star review does not top the list
+const PRIOR_RATING = 3;
+const PRIOR_REVIEWS = 5;
+
+const MOVIE_FIELDS = { title: 1, releaseDate: 1, genre: 1, imageUrl: 1, avgRating: 1, reviewCount: 1 };
+
+// Number of 4 and 5 star reviews of a movie, from its stored histogram
+const likes = {
+  $add: [
+    { $ifNull: [{ $arrayElemAt: ['$ratingHistogram', 4] }, 0] },
+    { $ifNull: [{ $arrayElemAt: ['$ratingHistogram', 5] }, 0] }
+  ]
+};
+
+//----------------------------------------------------------------------------------------------------------
+// Item-based collaborative filtering: movies liked by the people who liked the same movies as this user.
+// Two movies are similar when many reviewers liked both (cosine similarity over who liked each movie);
+// a candidate's score is its summed similarity to the user's liked movies.
+async function similarMovies(user, liked, exclude, limit) {
+  const likedIds = liked.map(m => m._id);
+
+  const ranked = await Review.aggregate([
+    { $match: { movieId: { $in: likedIds }, rating: { $gte: LIKED_RATING }, user: { $exists: true, $ne: user._id }, ...Review.PUBLISHED } },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_NEIGHBOUR_REVIEWS },
+    // Everything else each of those reviewers liked
+    {
+      $lookup: {
+        from: 'reviews',
+        localField: 'user',
+        foreignField: 'user',
+        as: 'alsoLiked',
+        pipeline: [{ $match: { rating: { $gte: LIKED_RATING }, ...Review.PUBLISHED } }, { $project: { movieId: 1 } }]
+      }
+    },
+    { $unwind: '$alsoLiked' },
+    { $match: { 'alsoLiked.movieId': { $nin: exclude } } },
+    { $group: { _id: { liked: '$movieId', candidate: '$alsoLiked.movieId' }, together: { $sum: 1 } } },
+    // Like counts of both movies; deleted movies drop out here
+    {
+      $lookup: {
+        from: 'movies',
+        localField: '_id.candidate',
+        foreignField: '_id',
+        as: 'candidate',
+        pipeline: [{ $match: { deletedAt: null } }, { $project: { likes } }]
+      }
+    },
+    { $unwind: '$candidate' },
+    {
+      $lookup: {
+        from: 'movies',
+        localField: '_id.liked',
+        foreignField: '_id',
+        as: 'liked',
+        pipeline: [{ $match: { deletedAt: null } }, { $project: { likes } }]
+      }
+    },
+    { $unwind: '$liked' },
+    // Stored counts can lag behind the reviews, so never divide by less than the overlap itself
+    {
+      $addFields: {
+        similarity: {
+          $divide: ['$together', {
+            $sqrt: { $multiply: [{ $max: ['$candidate.likes', '$together'] }, { $max: ['$liked.likes', '$together'] }] }
+          }]
+        }
+      }
+    },
+    { $sort: { similarity: -1 } },
+    { $group: { _id: '$_id.candidate', score: { $sum: '$similarity' }, because: { $first: '$_id.liked' } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  const titles = new Map(liked.map(m => [String(m._id), m.title]));
+  return ranked.map(({ _id, score, because }) => ({
+    movieId: _id,
+    score,
+    source: 'similar',
+    reason: `Because you liked "${titles.get(String(because))}"`
+  }));
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Content affinity: unseen movies in the genres the user likes most or starring people from their liked
+// movies. Each shared actor counts 1; a genre counts the share of the user's liked movies in that genre.
+async function affinityMovies(liked, exclude, limit) {
+  const genreCounts = {};
+  const likedByPerson = new Map(); // person id -> the first liked movie they appear in
+  liked.forEach(movie => {
+    genreCounts[movie.genre] = (genreCounts[movie.genre] || 0) + 1;
+    (movie.actors || []).forEach(actor => {
+      if (actor.person && !likedByPerson.has(String(actor.person))) likedByPerson.set(String(actor.person), movie);
+    });
+  });
+  const genres = Object.keys(genreCounts);
+  const persons = liked.flatMap(m => (m.actors || []).map(a => a.person)).filter(Boolean);
+
+  const candidates = await Movie.aggregate([
+    { $match: { _id: { $nin: exclude }, $or: [{ genre: { $in: genres } }, { 'actors.person': { $in: persons } }] } },
+    { $addFields: { sharedActors: { $setIntersection: [{ $ifNull: ['$actors.person', []] }, persons] } } },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $size: '$sharedActors' },
+            {
+              $switch: {
+                branches: genres.map(genre => ({ case: { $eq: ['$genre', genre] }, then: genreCounts[genre] / liked.length })),
+                default: 0
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $sort: { score: -1, avgRating: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { genre: 1, actors: 1, sharedActors: 1, score: 1 } }
+  ]);
+
+  return candidates.map(movie => {
+    let reason;
+    const shared = movie.sharedActors.length > 0 ? movie.sharedActors[0] : null;
+    if (shared) {
+      const actor = movie.actors.find(a => a.person && a.person.equals(shared));
+      reason = `Because you liked "${likedByPerson.get(String(shared)).title}", also starring ${actor.actorName}`;
+    } else {
+      reason = `Because you liked "${liked.find(m => m.genre === movie.genre).title}" and other ${movie.genre} movies`;
+    }
+    return { movieId: movie._id, score: movie.score, source: 'affinity', reason };
+  });
+}
+
+// Best rated movies overall, for users with nothing (or not enough) to go on
+async function popularMovies(exclude, limit) {
+  const popular = await Movie.aggregate([
+    { $match: { _id: { $nin: exclude }, reviewCount: { $gt: 0 } } },
+    {
+      $addFields: {
+        score: {
+          $divide: [
+            { $add: ['$ratingSum', PRIOR_RATING * PRIOR_REVIEWS] },
+            { $add: ['$reviewCount', PRIOR_REVIEWS] }
+          ]
+        }
+      }
+    },
+    { $sort: { score: -1, reviewCount: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { score: 1 } }
+  ]);
+
+  return popular.map(({ _id, score }) => ({ movieId: _id, score, source: 'popular', reason: 'Popular with other reviewers' }));
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Movies the user has not reviewed, best first: collaborative filtering, topped up from genre and actor
+// affinity and then from overall popularity. Each entry is { movie, score, source, reason }.
+async function recommend(user, options = {}) {
+  const limit = Math.min(Number(options.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  // Legacy reviews only know the author's username (see migrate_reviews.js)
+  const reviews = await Review.find(Review.authoredBy(user))
+    .select('movieId rating');
+  const seen = reviews.map(r => r.movieId);
+
+  // Liked movies, the user's favourites first so explanations name them
+  const likedIds = reviews.filter(r => r.rating >= LIKED_RATING)
+    .sort((a, b) => b.rating - a.rating)
+    .map(r => String(r.movieId));
+  const liked = (await Movie.find({ _id: { $in: likedIds } }).select('title genre actors'))
+    .sort((a, b) => likedIds.indexOf(String(a._id)) - likedIds.indexOf(String(b._id)));
+
+  const picks = [];
+  const exclude = () => [...seen, ...picks.map(p => p.movieId)];
+
+  if (liked.length > 0) {
+    picks.push(...await similarMovies(user, liked, exclude(), limit));
+    if (picks.length < limit) picks.push(...await affinityMovies(liked, exclude(), limit - picks.length));
+  }
+  if (picks.length < limit) picks.push(...await popularMovies(exclude(), limit - picks.length));
+
+  const movies = await Movie.find({ _id: { $in: picks.map(p => p.movieId) } }).select(MOVIE_FIELDS);
+  const byId = new Map(movies.map(m => [String(m._id), m]));
+
+  return picks
+    .filter(p => byId.has(String(p.movieId)))
+    .map(({ movieId, score, source, reason }) => ({ movie: byId.get(String(movieId)), score, source, reason }));
+}
+
+module.exports = {
+  recommend
+};
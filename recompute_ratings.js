@@ -0,0 +1,21 @@
+// Maintenance job: rebuild every movie's avgRating, reviewCount and rating histogram from its reviews.
+// Run it after importing reviews directly into the database, or whenever the stored aggregates drift.
+//
+// Usage: node recompute_ratings.js [movieId ...]
+require('dotenv').config();
+const db = require('./db');
+const Movie = require('./Movies');
+require('./Reviews');
+
+const movieIds = process.argv.slice(2);
+
+db.connect()
+  .then(() => Movie.recomputeRatings(movieIds.length > 0 ? { _id: { $in: movieIds } } : {}))
+  .then(({ checked, repaired }) => {
+    console.log(`Checked ${checked} movie(s); repaired aggregates on ${repaired}.`);
+  })
+  .catch(err => {
+    console.error('Recompute failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
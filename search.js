@@ -0,0 +1,239 @@
+const Movie = require('./Movies');
+const Review = require('./Reviews');
+const { escapeRegex } = require('./movie_query');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+
+// Relative importance of each searchable field; mirrors the text index weights in Movies.js
+const MOVIE_FIELDS = {
+  title: 10,
+  'actors.actorName': 5,
+  'actors.characterName': 3
+};
+const REVIEW_FIELDS = {
+  review: 1
+};
+
+// How much a partial match counts compared to a whole-word match
+const MATCH_FACTORS = { word: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// Split a search string into lowercase words
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// Regex source matching a term with at most one substituted or missing character
+function fuzzySource(term) {
+  const variants = [escapeRegex(term)];
+  for (let i = 0; i < term.length; i++) {
+    const before = escapeRegex(term.slice(0, i));
+    const after = escapeRegex(term.slice(i + 1));
+    variants.push(`${before}.${after}`, `${before}${after}`);
+  }
+  return `(?:${variants.join('|')})`;
+}
+
+// Build the word, prefix and fuzzy matchers for each search term
+function buildMatchers(terms, { prefix, fuzzy }) {
+  return terms.map(term => {
+    const matchers = [{ kind: 'word', regex: new RegExp(`\\b${escapeRegex(term)}\\b`, 'i') }];
+    if (prefix) {
+      matchers.push({ kind: 'prefix', regex: new RegExp(`\\b${escapeRegex(term)}`, 'i') });
+    }
+    // Short words have too many one-letter neighbours to fuzz usefully
+    if (fuzzy && term.length >= 4) {
+      matchers.push({ kind: 'fuzzy', regex: new RegExp(`\\b${fuzzySource(term)}${prefix ? '' : '\\b'}`, 'i') });
+    }
+    return matchers;
+  });
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Parse the GET /search query string. Returns { error } with a client-facing message when invalid.
+function parseSearchQuery(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    return { error: 'A search query (q) is required.' };
+  }
+
+  const type = query.type || 'all';
+  if (!['all', 'movie', 'review'].includes(type)) {
+    return { error: 'type must be one of: all, movie, review.' };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = /^\d+$/.test(query.limit) ? parseInt(query.limit, 10) : NaN;
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer.' };
+    }
+  }
+
+  return {
+    q,
+    terms,
+    type,
+    limit: Math.min(limit, MAX_LIMIT),
+    prefix: query.prefix === 'true',
+    fuzzy: query.fuzzy === 'true'
+  };
+}
+
+// Read a possibly nested field ("actors.actorName") as a flat list of strings
+function fieldValues(doc, path) {
+  const [head, ...rest] = path.split('.');
+  const value = doc[head];
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap(item => (rest.length ? fieldValues(item, rest.join('.')) : [item]));
+  }
+  return rest.length ? fieldValues(value, rest.join('.')) : [String(value)];
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+// Wrap every matched word in <mark> and trim long text to a window around the first match. Snippets
+// are HTML: the text around and inside the marks is escaped, since titles and reviews are user input.
+function highlight(text, matchers) {
+  const sources = matchers.flat().map(m => `${m.regex.source}[\\p{L}\\p{N}']*`);
+  const pattern = new RegExp(sources.join('|'), 'giu');
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    const first = text.search(new RegExp(pattern.source, 'iu'));
+    start = Math.max(0, (first === -1 ? 0 : first) - SNIPPET_LENGTH / 4);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  // Match on the raw text, then escape each piece, so escaping never splits or creates a match
+  const raw = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+  for (const match of raw.matchAll(pattern)) {
+    snippet += `${escapeHtml(raw.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(raw.slice(last));
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// Score a document by which fields each term matched, and collect highlighted snippets.
+// Every term has to match somewhere for the document to count as a hit.
+function scoreDocument(doc, fields, matchers) {
+  let score = 0;
+  const highlights = {};
+
+  for (const termMatchers of matchers) {
+    let best = 0;
+    for (const [path, weight] of Object.entries(fields)) {
+      for (const value of fieldValues(doc, path)) {
+        for (const { kind, regex } of termMatchers) {
+          if (regex.test(value)) {
+            best = Math.max(best, weight * MATCH_FACTORS[kind]);
+            if (!highlights[path]) highlights[path] = [];
+            if (!highlights[path].includes(value)) highlights[path].push(value);
+          }
+        }
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+
+  Object.keys(highlights).forEach(path => {
+    highlights[path] = highlights[path].map(value => highlight(value, matchers));
+  });
+
+  return { score, highlights };
+}
+
+// Candidate documents from the text index, merged with regex matches for prefix/fuzzy typeahead; both
+// only consider documents matching baseFilter
+async function findCandidates(Model, fields, options, matchers, baseFilter = {}) {
+  const limit = options.limit * 3; // Over-fetch so re-ranking has something to choose from
+  const textHits = await Model.find({ $text: { $search: options.q }, ...baseFilter }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  let regexHits = [];
+  if (options.prefix || options.fuzzy) {
+    const filter = {
+      ...baseFilter,
+      $and: matchers.map(termMatchers => ({
+        $or: Object.keys(fields).flatMap(path => termMatchers.map(({ regex }) => ({ [path]: regex })))
+      }))
+    };
+    regexHits = await Model.find(filter).limit(limit).lean();
+  }
+
+  const byId = new Map();
+  [...textHits, ...regexHits].forEach(doc => {
+    const id = String(doc._id);
+    if (!byId.has(id)) byId.set(id, doc);
+  });
+  return [...byId.values()];
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Search movies (title, actors, characters) and review text, returning ranked typed hits
+async function search(options) {
+  const matchers = buildMatchers(options.terms, options);
+  const hits = [];
+
+  if (options.type !== 'review') {
+    const movies = await findCandidates(Movie, MOVIE_FIELDS, options, matchers);
+    movies.forEach(movie => {
+      const scored = scoreDocument(movie, MOVIE_FIELDS, matchers);
+      // Stemmed text-index matches that no matcher recognises still count on their text score
+      const score = (movie.score || 0) + (scored ? scored.score : 0);
+      if (score === 0) return;
+      hits.push({
+        type: 'movie',
+        id: movie._id,
+        score,
+        movie: { _id: movie._id, title: movie.title, releaseDate: movie.releaseDate, genre: movie.genre },
+        highlights: scored ? scored.highlights : {}
+      });
+    });
+  }
+
+  if (options.type !== 'movie') {
+    const reviews = await findCandidates(Review, REVIEW_FIELDS, options, matchers, Review.PUBLISHED); // Held and rejected reviews are not searchable
+    // Titles of the reviewed movies; reviews of deleted movies stay hidden with their movie
+    const titles = await Movie.find({ _id: { $in: reviews.map(r => r.movieId) } }).select('title').lean();
+    const titleById = new Map(titles.map(m => [String(m._id), m.title]));
+    reviews.forEach(review => {
+      if (!titleById.has(String(review.movieId))) return;
+      const scored = scoreDocument(review, REVIEW_FIELDS, matchers);
+      const score = (review.score || 0) + (scored ? scored.score : 0);
+      if (score === 0) return;
+      hits.push({
+        type: 'review',
+        id: review._id,
+        score,
+        review: {
+          _id: review._id,
+          movieId: review.movieId,
+          movieTitle: titleById.get(String(review.movieId)),
+          username: review.username,
+          rating: review.rating
+        },
+        highlights: scored ? scored.highlights : { review: [highlight(review.review || '', matchers)] }
+      });
+    });
+  }
+
+  hits.sort((a, b) => b.score - a.score);
+  return hits.slice(0, options.limit);
+}
+
+module.exports = {
+  parseSearchQuery,
+  search
+};
@@ -4,117 +4,310 @@ var express = require('express');
 var bodyParser = require('body-parser');
 var passport = require('passport');
 var authJwtController = require('./auth_jwt');
-var jwt = require('jsonwebtoken');
 var cors = require('cors');
 const User = require('./Users');
 const Movie = require('./Movies');
 const Review = require('./Reviews');
-
-const app = express();
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: false }));
-
-app.use(passport.initialize());
-
+const ReviewVote = require('./ReviewVotes');
+const Watchlist = require('./Watchlists');
+const movieList = require('./movie_query');
+const search = require('./search');
+const tokens = require('./tokens');
+const analytics = require('./analytics');
+const validate = require('./validate');
+const openapiDocument = require('./openapi');
+const moviePatch = require('./movie_patch');
+const movieTransfer = require('./movie_transfer');
+const people = require('./people');
+const recommendations = require('./recommendations');
+const rateLimit = require('./rate_limit');
+const accounts = require('./accounts');
+const cache = require('./cache');
+const images = require('./images');
+const moderation = require('./moderation');
+const audit = require('./audit');
+const errors = require('./errors');
+const db = require('./db');
+
+// Every route is registered on this router; createApp() at the bottom mounts it
 const router = express.Router();
 
-// Removed getJSONObjectForMovieRequirement as it's not used
+// Respond 405 with an Allow header for verbs a route does not implement
+const methodNotAllowed = (allowed) => (req, res, next) => next(new errors.MethodNotAllowedError(req.method, allowed));
 
-router.post('/signup', async (req, res) => { // Use async/await
-  if (!req.body.username || !req.body.password) {
-    return res.status(400).json({ success: false, msg: 'Please include both username and password to signup.' }); // 400 Bad Request
-  }
+// Removed getJSONObjectForMovieRequirement as it's not used
 
+router.post('/signup', rateLimit.limit('signup'), validate, async (req, res, next) => { // Body checked against the OpenAPI document
   try {
     const user = new User({ // Create user directly with the data
       name: req.body.name,
       username: req.body.username,
       password: req.body.password,
+      emailVerified: false // Reviews are blocked until the mailed token is redeemed
     });
 
     await user.save(); // Use await with user.save()
 
-    res.status(201).json({ success: true, msg: 'Successfully created new user.' }); // 201 Created
+    // The account exists either way; a failed email can be sent again from POST /email/verify/resend
+    try {
+      await accounts.sendVerification(user);
+    } catch (mailErr) {
+      console.error(`[${req.id}] Error sending verification email:`, mailErr.message);
+    }
+
+    res.status(201).json({ success: true, message: 'Successfully created new user. Check your email to verify your address.' }); // 201 Created
   } catch (err) {
     if (err.code === 11000) { // Strict equality check (===)
-      return res.status(409).json({ success: false, message: 'A user with that username already exists.' }); // 409 Conflict
-    } else {
-      console.error(err); // Log the error for debugging
-      return res.status(500).json({ success: false, message: 'Something went wrong. Please try again later.' }); // 500 Internal Server Error
+      return next(new errors.ConflictError('A user with that username already exists.')); // 409 Conflict
     }
+    return next(err);
   }
 });
 
 
-router.post('/signin', async (req, res) => { // Use async/await
+router.post('/signin', rateLimit.limit('signin'), validate, async (req, res, next) => { // Use async/await
   try {
-    const user = await User.findOne({ username: req.body.username }).select('name username password');
+    // A username with too many failed attempts is locked out before its password is checked
+    const lockedFor = await rateLimit.lockedFor(req.body.username);
+    if (lockedFor > 0) {
+      return next(new errors.TooManyRequestsError('Too many failed signin attempts for this username.', lockedFor));
+    }
+
+    const user = await User.findOne({ username: req.body.username }).select('name username password role tokenVersion');
 
     if (!user) {
-      return res.status(401).json({ success: false, msg: 'Authentication failed. User not found.' }); // 401 Unauthorized
+      await rateLimit.recordSigninFailure(req.body.username);
+      return next(new errors.UnauthorizedError('Authentication failed. User not found.', { code: 'invalid_credentials' })); // 401 Unauthorized
     }
 
     const isMatch = await user.comparePassword(req.body.password); // Use await
 
     if (isMatch) {
-      const userToken = { id: user._id, username: user.username }; // Use user._id (standard Mongoose)
-      const token = jwt.sign(userToken, process.env.SECRET_KEY, { expiresIn: '1h' }); // Add expiry to the token (e.g., 1 hour)
+      await rateLimit.clearSigninFailures(req.body.username);
+      const { token, refreshToken } = await tokens.issueTokens(user); // One-hour access token plus a refresh token
       res.json({
         success: true,
-        token: 'JWT ' + token,
+        token,
+        refreshToken,
         username: user.username,   
         name: user.name,
+        role: user.role,
       });
       
     } else {
-      res.status(401).json({ success: false, msg: 'Authentication failed. Incorrect password.' }); // 401 Unauthorized
+      await rateLimit.recordSigninFailure(req.body.username);
+      return next(new errors.UnauthorizedError('Authentication failed. Incorrect password.', { code: 'invalid_credentials' })); // 401 Unauthorized
+    }
+  } catch (err) {
+    return next(err);
+  }
+});
+
+//Exchange a refresh token for a new access/refresh token pair
+router.post('/token/refresh', validate, async (req, res, next) => {
+  try {
+    const result = await tokens.rotateRefreshToken(req.body.refreshToken);
+
+    if (result.error) {
+      return next(new errors.UnauthorizedError(result.error, { code: 'invalid_refresh_token' })); // 401 Unauthorized
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      username: result.user.username,
+      name: result.user.name,
+      role: result.user.role,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+//Revoke a refresh token; with everywhere=true also revoke every other session of the user
+router.post('/logout', validate, async (req, res, next) => {
+  try {
+    const everywhere = req.body.everywhere === true || req.body.everywhere === 'true';
+    const result = await tokens.revokeRefreshToken(req.body.refreshToken, { everywhere });
+
+    if (result.error) {
+      return next(new errors.UnauthorizedError(result.error, { code: 'invalid_refresh_token' })); // 401 Unauthorized
     }
+
+    res.json({ success: true, message: everywhere ? 'Logged out of all sessions.' : 'Logged out.' });
   } catch (err) {
-    console.error(err); // Log the error
-    res.status(500).json({ success: false, message: 'Something went wrong. Please try again later.' }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
 //----------------------------------------------------------------------------------------------------------
-//Routes for /movies
-//POST - add a single movie
-//GET - return all movies
-router.route('/movies')
-  .post(authJwtController.isAuthenticated, async (req, res) => {
+//Routes for password resets and email verification, both through single-use tokens sent by email (see accounts.js)
+//POST /password/forgot - email a reset token; answers the same whether or not the username exists
+//POST /password/reset - set a new password with a reset token, signing out every session
+//POST /email/verify - verify the email address with the token mailed on signup
+//POST /email/verify/resend - mail a new verification token to the signed-in user
+router.post('/password/forgot', rateLimit.limit('accountMail'), validate, async (req, res, next) => {
+  try {
+    await accounts.requestPasswordReset(req.body.username);
+  } catch (err) {
+    // Logged only: an error for a registered username would otherwise reveal that it exists
+    console.error(`[${req.id}] Error sending password reset email:`, err.message);
+  }
 
-    // Validate that the title field is provided
-    if (!req.body.title || req.body.title.trim() === "") {
-        return res.status(400).json({
-            success: false,
-            message: "Title is required!"
-        });
+  res.status(202).json({ success: true, message: 'If that account exists, a password reset email is on its way.' }); // 202 Accepted
+});
+
+router.post('/password/reset', rateLimit.limit('signin'), validate, async (req, res, next) => {
+  try {
+    const result = await accounts.resetPassword(req.body.token, req.body.password);
+
+    if (result.error) {
+      return next(new errors.BadRequestError(result.error, { code: 'invalid_token' }));
+    }
+
+    res.json({ success: true, message: 'Password reset. Sign in with your new password.' });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.post('/email/verify', validate, async (req, res, next) => {
+  try {
+    const result = await accounts.verifyEmail(req.body.token);
+
+    if (result.error) {
+      return next(new errors.BadRequestError(result.error, { code: 'invalid_token' }));
+    }
+
+    res.json({ success: true, message: `Verified ${result.user.username}.` });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.post('/email/verify/resend', authJwtController.isAuthenticated, rateLimit.limit('accountMail'), validate, async (req, res, next) => {
+  try {
+    if (req.user.isVerified()) {
+      return next(new errors.ConflictError('Your email address is already verified.'));
+    }
+
+    await accounts.sendVerification(req.user);
+
+    res.status(202).json({ success: true, message: 'A new verification email is on its way.' }); // 202 Accepted
+  } catch (err) {
+    return next(err);
+  }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for the signed-in user's account
+//GET /users/me - the account and its profile
+//PATCH /users/me - change the name, bio or location
+//DELETE /users/me - delete the account, anonymizing or deleting its reviews (asks for the password)
+//POST /users/me/password - change the password, signing out every other session
+
+// The signed-in user with their password hash, or a 403 when the given password is not theirs
+async function confirmPassword(req, password) {
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+        throw new errors.ForbiddenError('The password is incorrect.', { code: 'incorrect_password' });
     }
+    return user;
+}
+
+router.route('/users/me')
+  .get(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    return res.status(200).json({
+        success: true,
+        user: req.user.profile()
+    });
+  })
+
+  .patch(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    try {
+        const user = req.user;  // Loaded fresh from the database by the JwtStrategy
 
-    // Validate that the releaseDate field is provided and is a number
-    if (!req.body.releaseDate || isNaN(req.body.releaseDate)) {
-        return res.status(400).json({
-            success: false,
-            message: "A valid releaseDate is required!"
+        // Only the fields allowed by the OpenAPI document get this far; an empty string clears one
+        ['name', 'bio', 'location'].forEach(field => {
+            if (req.body[field] !== undefined) user[field] = req.body[field] || undefined;
+        });
+        await user.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Profile updated.',
+            user: user.profile()
         });
+    } catch (err) {
+        return next(err);
     }
+  })
+
+  .delete(authJwtController.isAuthenticated, rateLimit.limit('passwordCheck'), validate, async (req, res, next) => {
+    try {
+        const user = await confirmPassword(req, req.body.password);
+
+        // Never delete the last admin, or nobody could manage roles again
+        if (user.role === 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+            return next(new errors.ConflictError('Cannot delete the only admin. Promote another admin first.'));
+        }
+
+        const result = await accounts.deleteAccount(user, { reviews: req.body.reviews, source: req });
+
+        // The user's reviews may be on any number of movies
+        await cache.invalidateAll();
 
-    // Validate that the genre field is provided
-    if (!req.body.genre || req.body.genre.trim() === "") {
-        return res.status(400).json({
-            success: false,
-            message: "Genre is required!"
+        return res.status(200).json({
+            success: true,
+            message: `Account deleted. ${result.reviews} review(s) ${req.body.reviews === 'delete' ? 'deleted' : 'anonymized'}.`
         });
+    } catch (err) {
+        return next(err);
     }
+  })
+
+  .all(methodNotAllowed('GET, PATCH, DELETE'));
+
+router.post('/users/me/password', authJwtController.isAuthenticated, rateLimit.limit('passwordCheck'), validate, async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;  // Checked against the OpenAPI document
+
+    try {
+        const user = await confirmPassword(req, currentPassword);
 
-    // Validate that the actors field is provided and contains at least one actor
-    if (!req.body.actors || req.body.actors.length === 0) {
-        return res.status(400).json({
-            success: false,
-            message: "A movie must contain at least one actor!"
+        if (newPassword === currentPassword) {
+            return next(new errors.BadRequestError('The new password must be different from the current one.'));
+        }
+
+        // The schema checks the strength rules (400 listing them) and the pre-save hook hashes it
+        user.password = newPassword;
+        await user.save();
+
+        // Sign out every session, including this one, then sign this client back in with the new password
+        await tokens.revokeAllTokens(user._id);
+        const { token, refreshToken } = await tokens.issueTokens(await User.findById(user._id));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Password changed. Every other session has been signed out.',
+            token,
+            refreshToken,
+            username: user.username,
+            name: user.name,
+            role: user.role
         });
+    } catch (err) {
+        return next(err);
     }
+});
 
+//----------------------------------------------------------------------------------------------------------
+//Routes for /movies
+//POST - add a single movie (editors)
+//GET - return a page of movies
+router.route('/movies')
+  .post(authJwtController.isAuthenticated, authJwtController.requireRole('editor'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    // The body has already been checked against MovieInput in the OpenAPI document
     try {
 
         // Create a new movie document
@@ -127,6 +320,8 @@ router.route('/movies')
 
         // Save the movie to the MongoDB database
         await movie.save();
+        await audit.recordMovie(req, 'create', movie, null);
+        await cache.invalidateMovies();  // It can appear on any page of GET /movies
 
         // Return success message with the movie object
         return res.status(200).json({
@@ -136,104 +331,188 @@ router.route('/movies')
         });
 
     } catch (err) {
-
-        return res.status(500).json({
-            success: false,
-            message: "Error saving movie",
-            error: err.message
-        });
+        // Schema errors (e.g. an actor naming a person id that does not exist) become a 400
+        return next(err);
     }
   })
 
-  //Get all movies
-  //Updated to include all reviews for all movies retieved
-  .get(authJwtController.isAuthenticated, async (req, res) => {
+  //Get movies one page at a time
+  //Supports genre, releaseDate, actor and minRating filters, sorting, and reviews=true to include reviews
+  .get(authJwtController.isAuthenticated, validate, analytics.track('movie_read'), async (req, res, next) => {
     const { reviews } = req.query;  // Extract 'reviews' query parameter
 
-    try {
-        let moviesQuery;
+    // Parse pagination, filter and sort parameters
+    const options = movieList.parseMovieQuery(req.query);
+    if (options.error) {
+        return next(new errors.BadRequestError(options.error));
+    }
 
-        if (reviews === 'true') {
-            // Aggregate movies and their reviews with avgRating
-            moviesQuery = Movie.aggregate([
-                {
-                    $lookup: {
-                        from: 'reviews', // Join with 'reviews' collection
-                        localField: '_id', // Movie _id
-                        foreignField: 'movieId', // Review movieId
-                        as: 'reviews' // Output array of reviews
-                    }
-                },
-                {
-                    $addFields: {
-                        avgRating: {
-                            $cond: {
-                                if: { $gt: [{ $size: "$reviews" }, 0] },
-                                then: { $avg: "$reviews.rating" }, // Calculate average rating
-                                else: null
-                            }
-                        }
-                    }
-                },
-                {
-                    $sort: {
-                        avgRating: -1, // Sort by average rating descending
-                        title: 1 // If ratings are the same, sort by title alphabetically
-                    }
-                }
-            ]);
-        } else {
-            // If no reviews query, just return movies without aggregation
-            moviesQuery = Movie.find();
+    try {
+        // Pages are cached by path and query string, which are all the page's content depends on
+        const cached = await cache.getMovieList(req.originalUrl);
+        if (cached.entry) {
+            res.locals.analyticsMovies = cached.entry.analyticsMovies;
+            return cache.send(req, res, cached.entry, 'private');
         }
 
-        const movies = await moviesQuery;
+        // One aggregation returns the requested page and the total number of matches
+        const [result] = await Movie.aggregate(movieList.buildMoviePipeline(options, reviews === 'true'));
+
+        // Return the page of movies with or without reviews
+        const page = { success: true, ...movieList.buildPage(req, options, result) };
+
+        // Record which movies were listed; an empty page filtered by genre still counts for those genres
+        const { genre } = options.match;
+        const genres = genre ? [].concat(genre.$in || genre) : [];
+        res.locals.analyticsMovies = page.movies.length > 0
+            ? page.movies.map(movie => ({ _id: movie._id, title: movie.title, genre: movie.genre }))
+            : genres.map(name => ({ genre: name }));
+        const entry = cache.createEntry(page, undefined, { analyticsMovies: res.locals.analyticsMovies });
+        await cache.put(cached.key, entry);
+        return cache.send(req, res, entry, 'private');
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  //PUT and DELETE are not supported in /movies
+  .all(methodNotAllowed('GET, POST'));
+
+//----------------------------------------------------------------------------------------------------------
+//Bulk import and export, registered before /movies/:movieId so "import" and "export" are not taken as ids
+//POST /movies/import - add or update movies (and their reviews) from NDJSON or CSV (editors)
+//GET /movies/export - stream every movie as NDJSON or CSV, optionally with reviews
+router.post('/movies/import',
+  authJwtController.isAuthenticated,
+  authJwtController.requireRole('editor'),
+  rateLimit.limit('movieWrite'),
+  bodyParser.text({ type: [...movieTransfer.NDJSON_TYPES, movieTransfer.CSV_TYPE], limit: '10mb' }),
+  validate,
+  async (req, res, next) => {
+    const contentType = req.is([...movieTransfer.NDJSON_TYPES, movieTransfer.CSV_TYPE]);
+    const parsed = movieTransfer.parseImport(contentType, typeof req.body === 'string' ? req.body : '');
+
+    // The body as a whole could not be read
+    if (parsed.error) {
+        return next(contentType ? new errors.BadRequestError(parsed.error) : new errors.UnsupportedMediaTypeError(parsed.error));
+    }
+
+    try {
+        const { summary, rows } = await movieTransfer.importMovies(parsed.rows, {
+            dryRun: req.query.dryRun === 'true',
+            upsert: req.query.upsert === 'true',
+            source: req  // Who to record in the audit log
+        });
+
+        // Updated rows can be any movie, and may have added reviews
+        if (summary.created + summary.updated > 0 && !summary.dryRun) {
+            await cache.invalidateAll();
+        }
 
-        // Return the movies with or without reviews
+        // Rows are reported individually, so a partly failed import is still a 200
         return res.status(200).json({
-            success: true,
-            movies
+            success: summary.error === 0 && summary.reviewErrors === 0,
+            message: `${summary.dryRun ? 'Dry run: ' : ''}${summary.created} created, ${summary.updated} updated, ` +
+                `${summary.unchanged} unchanged, ${summary.error} failed` +
+                (summary.reviewErrors > 0 ? `; reviews failed on ${summary.reviewErrors} row(s).` : '.'),
+            summary,
+            rows
         });
     } catch (err) {
-        console.error("Error fetching movies:", err);
-        return res.status(500).json({
-            success: false,
-            message: "Error retrieving movies",
-            error: err.message
+        return next(err);
+    }
+});
+
+router.get('/movies/export', authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    try {
+        await movieTransfer.exportMovies(res, {
+            format: req.query.format || 'ndjson',
+            includeReviews: req.query.reviews === 'true'
         });
+    } catch (err) {
+        // Once streaming has started the status is sent; all the error middleware can do is cut the response short
+        return next(err);
     }
-  })
+});
 
-  //Put is not supported in /movies
-  .put(authJwtController.isAuthenticated, async (req, res) => {
-    return res.status(500).json({ success: false, message: 'PUT request not supported' });
-  })
+//----------------------------------------------------------------------------------------------------------
+//Shared by PUT and PATCH /movies/:movieId and reverting a movie: honour If-Match, apply the changes, then
+//save with the schema validators and the document version so a concurrent edit is rejected with 412.
+//action and revertedTo are recorded in the audit log.
+async function updateMovie(req, res, next, computeChanges, { action = 'update', revertedTo } = {}) {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    try {
+        const movie = await Movie.findById(movieId);
+
+        // If the movie is not found, return a 404
+        if (!movie) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        // The client edited an older version than the one stored
+        if (!moviePatch.ifMatchAllows(req, moviePatch.movieEtag(movie))) {
+            return next(new errors.PreconditionFailedError('The movie has changed since you last read it. Fetch it again and retry.'));
+        }
+
+        const changes = computeChanges(movie);
+        if (changes.status) {
+            return next(errors.fromStatus(changes.status, changes.message, { errors: changes.errors }));
+        }
+
+        // save() runs the schema validators and only succeeds if __v is unchanged since findById
+        const before = audit.movieState(movie);
+        movie.set(changes.fields);
+        await movie.save();
+        await audit.recordMovie(req, action, movie, before, { revertedTo });
+        await cache.invalidateMovies([movie._id]);
 
-  //Delete is not supported in /movies
-  .delete(authJwtController.isAuthenticated, async (req, res) => {
-    return res.status(500).json({ success: false, message: 'DELETE request not supported' });
-  });
+        // Return the updated movie with its new version
+        res.set('ETag', moviePatch.movieEtag(movie));
+        return res.status(200).json({
+            success: true,
+            message: action === 'revert'
+                ? `Movie with id "${movieId}" has been reverted to revision ${revertedTo}.`
+                : `Movie with id "${movieId}" has been updated.`,
+            movie
+        });
 
-app.use('/', router);
+    } catch (err) {
+        if (err.name === 'VersionError') {
+            return next(new errors.PreconditionFailedError('The movie was changed by someone else while saving. Fetch it again and retry.'));
+        }
+        return next(err);
+    }
+}
 
 //----------------------------------------------------------------------------------------------------------
 //Routes for /movies/:movieId
 //GET - return a movie given movieID
-//PUT - update a movie given movieID
-//DELETE - delete a movie given movieID
+//PUT - replace a movie given movieID (editors)
+//PATCH - partially update a movie given movieID (editors)
+//DELETE - soft-delete a movie given movieID (admins)
+//PUT, PATCH and DELETE honour If-Match with the ETag from GET and respond 412 on a version conflict
 router.route('/movies/:movieId')
   //Get movie given movieId
-  .get(async (req, res) => {
+  .get(validate, analytics.track('movie_read'), async (req, res, next) => {
     const { movieId } = req.params;  // Extract movieId from URL parameters
     const { reviews } = req.query;   // Extract 'reviews' query parameter
 
+    // Which reviews to embed: most helpful first by default, all of them unless reviewLimit is given
+    const reviewSort = req.query.reviewSort || 'helpful';
+    const reviewLimit = req.query.reviewLimit ? Number(req.query.reviewLimit) : undefined;
+    const variant = reviews === 'true' ? `reviews:${reviewSort}:${reviewLimit || 'all'}` : 'plain';
+
     try {
         // Validate if movieId is a valid ObjectId
         if (!mongoose.Types.ObjectId.isValid(movieId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid movieId format.'
-            });
+            return next(new errors.BadRequestError('Invalid movieId format.'));
+        }
+
+        const cached = await cache.getMovie(movieId, variant);
+        if (cached.entry) {
+            res.locals.analyticsMovies = cached.entry.analyticsMovies;
+            return cache.send(req, res, cached.entry, 'public');
         }
 
         let movieQuery;
@@ -249,18 +528,8 @@ router.route('/movies/:movieId')
                         from: 'reviews', // Join with 'reviews' collection
                         localField: '_id', // Movie _id
                         foreignField: 'movieId', // Review movieId
-                        as: 'reviews' // Output array of reviews
-                    }
-                },
-                {
-                    $addFields: {
-                        avgRating: {
-                            $cond: {
-                                if: { $gt: [{ $size: "$reviews" }, 0] },
-                                then: { $avg: "$reviews.rating" }, // Calculate average rating
-                                else: null
-                            }
-                        }
+                        as: 'reviews', // Output array of reviews
+                        pipeline: Review.embedPipeline({ sort: reviewSort, limit: reviewLimit }) // Published reviews only
                     }
                 }
             ]);
@@ -269,202 +538,1443 @@ router.route('/movies/:movieId')
             movieQuery = Movie.findById(movieId);
         }
 
-        const movie = await movieQuery;
+        const result = await movieQuery;
+        const movie = Array.isArray(result) ? result[0] : result; // For aggregation, movie is in array
 
         // If movie is not found, return 404
         if (!movie) {
-            return res.status(404).json({
-                success: false,
-                message: `Movie with id "${movieId}" not found.`
-            });
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
         }
 
-        // Return the movie with or without reviews
-        return res.status(200).json({
-            success: true,
-            movie: movie[0] || movie // For aggregation, movie is in array; otherwise, return the movie
+        // Record which movie was read
+        res.locals.analyticsMovies = [{ _id: movie._id, title: movie.title, genre: movie.genre }];
+
+        // Return the movie with or without reviews. Without reviews the ETag is the one PUT, PATCH and
+        // DELETE check in If-Match
+        const entry = cache.createEntry({ success: true, movie }, moviePatch.movieEtag(movie), {
+            analyticsMovies: res.locals.analyticsMovies
         });
+        await cache.put(cached.key, entry);
+        return cache.send(req, res, entry, 'public');
 
     } catch (err) {
-        console.error("Error fetching movie:", err);
-        return res.status(500).json({
-            success: false,
-            message: "Error retrieving movie",
-            error: err.message
-        });
+        return next(err);
     }
   })
 
-  //Update movie given movieId
-  .put(authJwtController.isAuthenticated, async (req, res) => {
-    const { movieId } = req.params;  // Extract movieId from URL parameters
-    const { title, releaseDate, genre, actors } = req.body;
-
-    // Validate that required fields are provided
-    if (!title || !releaseDate || !genre || !actors || actors.length === 0) {
-        return res.status(400).json({
-            success: false,
-            message: "Title, releaseDate, genre, and at least one actor are required."
-        });
-    }
-
-    try {
-        // Find the movie by its ObjectId and update it
-        const movie = await Movie.findByIdAndUpdate(movieId, {
-            title,
-            releaseDate,
-            genre,
-            actors
-        }, { new: true });  // The `new` option returns the updated document
-
-        // If the movie is not found, return a 404
-        if (!movie) {
-            return res.status(404).json({
-                success: false,
-                message: `Movie with id "${movieId}" not found.`
-            });
-        }
+  //Replace movie given movieId
+  .put(authJwtController.isAuthenticated, authJwtController.requireRole('editor'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    const { title, releaseDate, genre, actors } = req.body;  // Checked against MovieInput in the OpenAPI document
 
-        // Return the updated movie
-        return res.status(200).json({
-            success: true,
-            message: `Movie with id "${movieId}" has been updated.`,
-            movie
-        });
+    return updateMovie(req, res, next, () => ({ fields: { title, releaseDate, genre, actors } }));
+  })
 
-    } catch (err) {
-        console.error('Error updating movie:', err.message);
-        return res.status(500).json({
-            success: false,
-            message: "Error updating movie",
-            error: err.message
-        });
-    }
+  //Partially update movie given movieId with a JSON Merge Patch or JSON Patch body
+  .patch(authJwtController.isAuthenticated, authJwtController.requireRole('editor'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    return updateMovie(req, res, next, (movie) => moviePatch.patchMovie(movie, req));
   })
   
   //Delete movie given movideId
-  .delete(authJwtController.isAuthenticated, async (req, res) => {
+  .delete(authJwtController.isAuthenticated, authJwtController.requireRole('admin'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
     const { movieId } = req.params;  // Extract movieId from URL parameters
 
     try {
-        // Find and delete the movie by its ObjectId
-        const movie = await Movie.findByIdAndDelete(movieId);
+        // Find and delete the movie by its ObjectId, at the version the client last read if it sent If-Match
+        const movie = await Movie.findById(movieId);
 
         // If the movie is not found, return a 404
         if (!movie) {
-            return res.status(404).json({
-                success: false,
-                message: `Movie with id "${movieId}" not found.`
-            });
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        if (!moviePatch.ifMatchAllows(req, moviePatch.movieEtag(movie))) {
+            return next(new errors.PreconditionFailedError('The movie has changed since you last read it. Fetch it again and retry.'));
         }
 
+        // Soft delete: the movie is hidden but kept, with its reviews, until an admin restores or purges it.
+        // Matching on __v makes the delete fail if an edit lands after the If-Match check
+        const deleted = await Movie.findOneAndUpdate(
+            { _id: movie._id, __v: movie.__v ?? null },
+            { $set: { deletedAt: new Date(), deletedBy: req.user._id }, $inc: { __v: 1 } },
+            { new: true }
+        );
+        if (!deleted) {
+            return next(new errors.PreconditionFailedError('The movie has changed since you last read it. Fetch it again and retry.'));
+        }
+        await audit.recordMovie(req, 'delete', deleted, audit.movieState(movie));
+        await cache.invalidateMovies([movie._id]);
+
         // Return a success message
         return res.status(200).json({
             success: true,
-            message: `Movie with id "${movieId}" has been deleted.`
+            message: `Movie with id "${movieId}" has been deleted. It can be restored with POST /movies/${movieId}/restore.`
         });
 
     } catch (err) {
-        console.error('Error deleting movie:', err.message);
-        return res.status(500).json({
-            success: false,
-            message: "Error deleting movie",
-            error: err.message
-        });
+        return next(err);
     }
   })
 
-  //Post is not supported in /movies
-  .post(authJwtController.isAuthenticated, async (req, res) => {
-    return res.status(500).json({ success: false, message: 'Post request not supported' });
-  });
+  //Other verbs are not supported on a single movie
+  .all(methodNotAllowed('GET, PUT, PATCH, DELETE'));
   
-app.use('/', router);
 
 //----------------------------------------------------------------------------------------------------------
-//Route for adding reviews
-router.route('/movies/:movieId/review')
+//Route for restoring soft-deleted movies
+//POST - bring back a movie removed by DELETE /movies/:movieId, with its reviews (admins)
+router.post('/movies/:movieId/restore', authJwtController.isAuthenticated, authJwtController.requireRole('admin'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
 
-.get(async (req, res) => {
-  return res.status(500).json({ success: false, message: 'GET request not supported' });
-})
+    try {
+        const movie = await Movie.findById(movieId).setOptions({ withDeleted: true });
 
-.post(authJwtController.isAuthenticated, async (req, res) => {
-  const { movieId } = req.params;  // Extract movieId from URL parameters
-    const { username, review, rating } = req.body;  // Extract data from the request body
+        // If the movie is not found (or was purged), return a 404
+        if (!movie) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        if (!movie.deletedAt) {
+            return next(new errors.ConflictError(`Movie with id "${movieId}" is not deleted.`));
+        }
 
-    // Validate that required fields are provided
-    if (!username || !review || rating == null) {
-        return res.status(400).json({
-            success: false,
-            message: 'username, review, and rating are required.'
+        const before = audit.movieState(movie);
+        movie.deletedAt = undefined;
+        movie.deletedBy = undefined;
+        await movie.save();
+        await audit.recordMovie(req, 'restore', movie, before);
+        await cache.invalidateMovies([movie._id]);
+
+        res.set('ETag', moviePatch.movieEtag(movie));
+        return res.status(200).json({
+            success: true,
+            message: `Movie "${movie.title}" has been restored.`,
+            movie
         });
+    } catch (err) {
+        // A concurrent restore or delete got there first
+        if (err.name === 'VersionError') {
+            return next(new errors.ConflictError('The movie changed while restoring it. Fetch it again and retry.'));
+        }
+        return next(err);
     }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Route for a movie's revision history
+//GET - a page of the audit log for a movie, newest first; reviews=true adds its reviews' events (editors)
+router.get('/movies/:movieId/history', authJwtController.isAuthenticated, authJwtController.requireRole('editor'), validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
 
     // Validate the movieId format
     if (!mongoose.Types.ObjectId.isValid(movieId)) {
-        return res.status(400).json({
-            success: false,
-            message: 'Invalid movieId format.'
-        });
+        return next(new errors.BadRequestError('Invalid movieId format.'));
     }
 
+    const pagination = movieList.parsePagination(req.query);
+    if (pagination.error) {
+        return next(new errors.BadRequestError(pagination.error));
+    }
+    const { limit, page } = pagination;
+
     try {
-        // Check if the movie exists in the Movie collection
-        const movieExists = await Movie.findById(movieId);
-        
-        if (!movieExists) {
-            return res.status(404).json({
-                success: false,
-                message: `Movie with id "${movieId}" does not exist in the movie collection.`
-            });
+        const { events, total } = await audit.history(movieId, { reviews: req.query.reviews === 'true', page, limit });
+
+        // A deleted or purged movie still has its history; one that never existed has none
+        if (total === 0 && !(await Movie.exists({ _id: movieId }).setOptions({ withDeleted: true }))) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
         }
 
-        // Create a new review document
-        const newReview = new Review({
-            movieId: movieId,  // Reference to the movie
-            username: username,
-            review: review,
-            rating: rating
+        return res.status(200).json({
+            success: true,
+            events,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
         });
+    } catch (err) {
+        return next(err);
+    }
+});
 
-        // Save the new review to the database
-        await newReview.save();
+//----------------------------------------------------------------------------------------------------------
+//Routes for /movies/:movieId/image
+//GET - the movie's poster in one of images.SIZES (?size=, default original)
+//POST - upload or replace the poster as multipart/form-data, field "image" (editors)
+//DELETE - remove the poster (editors)
+router.route('/movies/:movieId/image')
+  .get(validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+    const size = req.query.size || 'original';
 
-        // Return the newly created review
-        return res.status(201).json({
-            success: true,
-            message: 'Review added successfully.',
-            review: newReview
+    try {
+        const movie = await Movie.findById(movieId).select('image');
+        if (!movie || !movie.image) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" has no image.`));
+        }
+
+        // A URL naming the current version (the imageUrl) never changes; without one, clients revalidate
+        res.set({
+            ETag: `"${movie.image.version}-${size}"`,
+            'Cache-Control': req.query.v === movie.image.version ? 'public, max-age=31536000, immutable' : 'public, no-cache'
         });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
 
+        const file = await images.readImage(movieId, movie.image, size);
+        if (!file) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" has no image.`));
+        }
+        return res.status(200).type(movie.image.contentType).send(file);
     } catch (err) {
-        console.error('Error adding review:', err.message);
-        return res.status(500).json({
-            success: false,
-            message: 'Error adding review',
-            error: err.message
-        });
+        return next(err);
     }
+  })
 
-})
+  .post(authJwtController.isAuthenticated, authJwtController.requireRole('editor'), rateLimit.limit('movieWrite'), images.upload, validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
 
-//Put is not supported in /movies
-.put(async (req, res) => {
-  return res.status(500).json({ success: false, message: 'PUT request not supported' });
-})
+    try {
+        const movie = await Movie.findById(movieId);
+        if (!movie) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
 
-//Delete is not supported in /movies
-.delete(async (req, res) => {
-  return res.status(500).json({ success: false, message: 'DELETE request not supported' });
-});
+        const stored = await images.storeImage(movie._id, req.file.buffer);
+        if (stored.error) {
+            return next(errors.fromStatus(stored.status, stored.error));
+        }
 
-app.use('/', router);
+        // Point the movie at the new files, then delete the old ones; if the save fails, the new ones go instead
+        const before = audit.movieState(movie);
+        const previous = movie.image && movie.image.toObject();
+        movie.image = stored.image;
+        movie.imageUrl = images.urlFor(movie._id, stored.image);
+        try {
+            await movie.save();
+        } catch (err) {
+            await images.removeImage(movie._id, stored.image);
+            throw err;
+        }
+        await audit.recordMovie(req, 'update', movie, before);
+        await images.removeImage(movie._id, previous);
+        await cache.invalidateMovies([movie._id]);
+
+        res.set('ETag', moviePatch.movieEtag(movie));
+        return res.status(200).json({
+            success: true,
+            message: `The image of "${movie.title}" has been saved.`,
+            movie
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .delete(authJwtController.isAuthenticated, authJwtController.requireRole('editor'), rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    try {
+        const movie = await Movie.findById(movieId);
+        if (!movie || !movie.image) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" has no image.`));
+        }
+
+        const before = audit.movieState(movie);
+        const previous = movie.image.toObject();
+        movie.image = undefined;
+        movie.imageUrl = undefined;
+        await movie.save();
+        await audit.recordMovie(req, 'update', movie, before);
+        await images.removeImage(movie._id, previous);
+        await cache.invalidateMovies([movie._id]);
+
+        res.set('ETag', moviePatch.movieEtag(movie));
+        return res.status(200).json({
+            success: true,
+            message: `The image of "${movie.title}" has been deleted.`,
+            movie
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .all(methodNotAllowed('GET, POST, DELETE'));
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for people (actors)
+//GET /people/duplicates - groups of people who are probably the same person (editors)
+//GET /people/:personId - a person with their filmography and average rating
+//POST /people/:personId/merge - merge duplicate people into this one (editors)
+router.get('/people/duplicates', authJwtController.isAuthenticated, authJwtController.requireRole('editor'), validate, async (req, res, next) => {
+    try {
+        const groups = await people.findDuplicates();
+
+        return res.status(200).json({
+            success: true,
+            groups
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.get('/people/:personId', validate, async (req, res, next) => {
+    const { personId } = req.params;  // Extract personId from URL parameters
+
+    try {
+        const result = await people.filmography(personId);
+
+        // If the person is not found, return a 404
+        if (!result) {
+            return next(new errors.NotFoundError(`Person with id "${personId}" not found.`));
+        }
+
+        return res.status(200).json({
+            success: true,
+            ...result
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.post('/people/:personId/merge', authJwtController.isAuthenticated, authJwtController.requireRole('editor'), validate, async (req, res, next) => {
+    const { personId } = req.params;  // Extract personId from URL parameters
+
+    try {
+        const result = await people.mergePeople(personId, req.body.sources, { source: req });
+
+        if (result.error) {
+            return next(errors.fromStatus(result.status, result.error));
+        }
+
+        // Every movie crediting a merged person now names the surviving one
+        await cache.invalidateAll();
+
+        return res.status(200).json({
+            success: true,
+            message: `Merged ${result.merged.length} person(s) into "${result.person.name}".`,
+            ...result
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for /movies/:movieId/review
+//GET - return a page of reviews for a movie
+//POST - add a review to a movie (users with a verified email address)
+router.route('/movies/:movieId/review')
+
+//Get a page of reviews for a movie, newest first by default
+.get(validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    // Validate the movieId format
+    if (!mongoose.Types.ObjectId.isValid(movieId)) {
+        return next(new errors.BadRequestError('Invalid movieId format.'));
+    }
+
+    // Validate pagination and sort parameters
+    const pagination = movieList.parsePagination(req.query);
+    if (pagination.error) {
+        return next(new errors.BadRequestError(pagination.error));
+    }
+
+    const sort = Review.SORTS[req.query.sort || 'newest'];
+    if (!sort) {
+        return next(new errors.BadRequestError(`Unknown sort "${req.query.sort}". Sort by one of: ${Object.keys(Review.SORTS).join(', ')}.`));
+    }
+
+    try {
+        // Check if the movie exists in the Movie collection
+        const movieExists = await Movie.exists({ _id: movieId });
+
+        if (!movieExists) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        // Reviews held for moderation or rejected are not listed
+        const filter = { movieId, ...Review.PUBLISHED };
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .sort(sort)
+                .skip((pagination.page - 1) * pagination.limit)
+                .limit(pagination.limit),
+            Review.countDocuments(filter)
+        ]);
+
+        // Return the page of reviews with paging details
+        return res.status(200).json({
+            success: true,
+            reviews,
+            total,
+            page: pagination.page,
+            pages: Math.ceil(total / pagination.limit),
+            limit: pagination.limit
+        });
+
+    } catch (err) {
+        return next(err);
+    }
+})
+
+.post(authJwtController.isAuthenticated, authJwtController.requireVerifiedEmail, rateLimit.limit('reviewWrite'), validate, analytics.track('review_post'), async (req, res, next) => {
+  const { movieId } = req.params;  // Extract movieId from URL parameters
+    const { review, rating } = req.body;  // Extract data from the request body; the author comes from the JWT
+
+    // Validate the movieId format
+    if (!mongoose.Types.ObjectId.isValid(movieId)) {
+        return next(new errors.BadRequestError('Invalid movieId format.'));
+    }
+
+    try {
+        // Check if the movie exists in the Movie collection
+        const movieExists = await Movie.findById(movieId);
+        
+        if (!movieExists) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" does not exist in the movie collection.`));
+        }
+
+        // Each user may review a movie once, legacy reviews under their username included; edits go
+        // through PUT /reviews/:reviewId
+        const existing = await Review.findOne({ movieId, ...Review.authoredBy(req.user) }).select('_id');
+        if (existing) {
+            return next(new errors.ConflictError('You have already reviewed this movie. Update your existing review instead.', {
+                code: 'duplicate_review',
+                reviewId: existing._id
+            }));
+        }
+
+        // Create a new review document
+        const newReview = new Review({
+            movieId: movieId,  // Reference to the movie
+            user: req.user._id,  // Reference to the author
+            username: req.user.username,
+            review: review,
+            rating: rating
+        });
+
+        // The content filter may hold it for moderation
+        moderation.screen(newReview);
+
+        // Save the new review to the database
+        await newReview.save();
+        await audit.recordReview(req, 'create', newReview, null);
+
+        // Fold the rating into the movie's stored aggregates once the review is published
+        if (newReview.isPublished()) {
+            await Movie.applyRatingChange(movieId, { add: newReview.rating });
+            await cache.invalidateMovies([movieId]);
+        }
+
+        // Record which movie was reviewed
+        res.locals.analyticsMovies = [movieExists];
+
+        // Return the newly created review
+        return res.status(201).json({
+            success: true,
+            message: newReview.isPublished() ? 'Review added successfully.' : 'Review submitted. It will appear once a moderator has approved it.',
+            review: newReview
+        });
+
+    } catch (err) {
+        // Two concurrent submissions can both pass the check above; the unique index catches the second
+        if (err.code === 11000) {
+            return next(new errors.ConflictError('You have already reviewed this movie. Update your existing review instead.', { code: 'duplicate_review' }));
+        }
+        return next(err);
+    }
+
+})
+
+//Reviews are edited and deleted through /reviews/:reviewId
+.all(methodNotAllowed('GET, POST'));
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for /reviews/:reviewId
+//GET - return a review given reviewId
+//PUT - update the text or rating of your own review
+//DELETE - delete your own review (admins may delete any review)
+//POST /reviews/:reviewId/flag - report a review to the moderators
+//PUT /reviews/:reviewId/vote - vote a review helpful or not, replacing your earlier vote
+//DELETE /reviews/:reviewId/vote - withdraw your vote
+
+// Whether the signed-in user may see a review held for moderation or rejected: its author and admins
+const canSeeHidden = (req, review) => Boolean(req.user) && (review.isAuthoredBy(req.user) || authJwtController.hasRole(req.user, 'admin'));
+
+// A review by id, or null when there is none or its movie is soft-deleted: the reviews of a deleted
+// movie are hidden with it until it is restored, so they cannot be edited or deleted either. select is
+// passed to the query, e.g. '+moderation'.
+async function findReview(reviewId, { select } = {}) {
+    const review = await Review.findById(reviewId).select(select);
+    if (!review || !(await Movie.exists({ _id: review.movieId }))) {
+        return null;
+    }
+    return review;
+}
+
+router.route('/reviews/:reviewId')
+  //Get review given reviewId
+  .get(authJwtController.identifyUser, validate, async (req, res, next) => {
+    const { reviewId } = req.params;  // Extract reviewId from URL parameters
+
+    // Validate the reviewId format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+        return next(new errors.BadRequestError('Invalid reviewId format.'));
+    }
+
+    try {
+        const review = await findReview(reviewId);
+
+        // If the review is not found, return a 404; only its author and admins see a hidden review
+        if (!review || (!review.isPublished() && !canSeeHidden(req, review))) {
+            return next(new errors.NotFoundError(`Review with id "${reviewId}" not found.`));
+        }
+
+        return res.status(200).json({
+            success: true,
+            review
+        });
+
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  //Update review given reviewId, only by its author
+  .put(authJwtController.isAuthenticated, rateLimit.limit('reviewWrite'), validate, async (req, res, next) => {
+    const { reviewId } = req.params;  // Extract reviewId from URL parameters
+    const { review, rating } = req.body;  // Only the text and rating can change
+
+    // Validate the reviewId format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+        return next(new errors.BadRequestError('Invalid reviewId format.'));
+    }
+
+    try {
+        const existing = await findReview(reviewId, { select: '+moderation' }); // Kept through the content filter
+
+        // If the review is not found, return a 404
+        if (!existing) {
+            return next(new errors.NotFoundError(`Review with id "${reviewId}" not found.`));
+        }
+
+        // Only the author may edit a review
+        if (!existing.isAuthoredBy(req.user)) {
+            return next(new errors.ForbiddenError('You can only edit your own reviews.'));
+        }
+
+        const before = audit.reviewState(existing);
+        const previousRating = existing.countedRating();
+        const wasHidden = !existing.isPublished();
+        if (review !== undefined) existing.review = review;
+        if (rating !== undefined) existing.rating = rating;
+        existing.editedAt = new Date();
+
+        // The edited text goes through the content filter again
+        moderation.screen(existing, { wasHidden });
+
+        // save() runs the schema validators (e.g. rating 0-5)
+        await existing.save();
+        await audit.recordReview(req, 'update', existing, before);
+
+        // Swap the old rating for the new one in the movie's stored aggregates; a review that is now held
+        // takes its rating out
+        if (existing.countedRating() !== previousRating) {
+            await Movie.applyRatingChange(existing.movieId, { add: existing.countedRating(), remove: previousRating });
+        }
+        await cache.invalidateMovies([existing.movieId]);
+
+        return res.status(200).json({
+            success: true,
+            message: existing.isPublished() ? 'Review updated successfully.' : 'Review updated. It will appear once a moderator has approved it.',
+            review: existing
+        });
+
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  //Delete review given reviewId, only by its author
+  .delete(authJwtController.isAuthenticated, rateLimit.limit('reviewWrite'), validate, async (req, res, next) => {
+    const { reviewId } = req.params;  // Extract reviewId from URL parameters
+
+    // Validate the reviewId format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+        return next(new errors.BadRequestError('Invalid reviewId format.'));
+    }
+
+    try {
+        const existing = await findReview(reviewId);
+
+        // If the review is not found, return a 404
+        if (!existing) {
+            return next(new errors.NotFoundError(`Review with id "${reviewId}" not found.`));
+        }
+
+        // Only the author may delete a review, apart from admins moderating
+        if (!existing.isAuthoredBy(req.user) && !authJwtController.hasRole(req.user, 'admin')) {
+            return next(new errors.ForbiddenError('You can only delete your own reviews.'));
+        }
+
+        await existing.deleteOne();
+        await ReviewVote.deleteMany({ review: existing._id });
+        await audit.recordReview(req, 'delete', existing, audit.reviewState(existing));
+
+        // Remove the rating from the movie's stored aggregates, if it was counted
+        if (existing.isPublished()) {
+            await Movie.applyRatingChange(existing.movieId, { remove: existing.rating });
+            await cache.invalidateMovies([existing.movieId]);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Review with id "${reviewId}" has been deleted.`
+        });
+
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .all(methodNotAllowed('GET, PUT, DELETE'));
+
+router.post('/reviews/:reviewId/flag', authJwtController.isAuthenticated, rateLimit.limit('reviewWrite'), validate, async (req, res, next) => {
+    const { reviewId } = req.params;  // Extract reviewId from URL parameters
+
+    try {
+        const review = await findReview(reviewId);
+        if (!review) {
+            return next(new errors.NotFoundError(`Review with id "${reviewId}" not found.`));
+        }
+
+        const before = audit.reviewState(review);
+        const result = await moderation.flagReview(review, req.user, { reason: req.body.reason, note: req.body.note });
+        if (result.error) {
+            return next(errors.fromStatus(result.status, result.error, { code: result.code }));
+        }
+
+        // Enough flags hide the review until a moderator has looked at it
+        if (result.held) {
+            await audit.recordReview(req, 'update', result.review, before);
+            await cache.invalidateMovies([result.review.movieId]);
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Thank you. The moderators will look at this review.'
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+// The published review a vote request is about, or the error to respond with. Authors cannot vote on
+// their own reviews.
+async function votableReview(req) {
+    const { reviewId } = req.params;
+    const review = await findReview(reviewId);
+    if (!review || !review.isPublished()) {
+        return { error: new errors.NotFoundError(`Review with id "${reviewId}" not found.`) };
+    }
+    if (review.isAuthoredBy(req.user)) {
+        return { error: new errors.ForbiddenError('You cannot vote on your own review.') };
+    }
+    return { review };
+}
+
+// The vote tallies of a review after a change
+const voteSummary = async (reviewId, vote) => ({
+    success: true,
+    vote,
+    ...(await Review.findById(reviewId).select('-_id helpfulVotes unhelpfulVotes helpfulness').lean())
+});
+
+router.route('/reviews/:reviewId/vote')
+  .put(authJwtController.isAuthenticated, rateLimit.limit('reviewVote'), validate, async (req, res, next) => {
+    try {
+        const { review, error } = await votableReview(req);
+        if (error) {
+            return next(error);
+        }
+
+        const previous = await ReviewVote.cast(review._id, req.user._id, req.body.helpful);
+        if (previous !== req.body.helpful) {
+            await cache.invalidateMovies([review.movieId]);
+        }
+
+        return res.status(200).json(await voteSummary(review._id, req.body.helpful));
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .delete(authJwtController.isAuthenticated, rateLimit.limit('reviewVote'), validate, async (req, res, next) => {
+    try {
+        const { review, error } = await votableReview(req);
+        if (error) {
+            return next(error);
+        }
+
+        const withdrawn = await ReviewVote.withdraw(review._id, req.user._id);
+        if (withdrawn === null) {
+            return next(new errors.NotFoundError('You have not voted on this review.', { code: 'vote_not_found' }));
+        }
+        await cache.invalidateMovies([review.movieId]);
+
+        return res.status(200).json(await voteSummary(review._id, null));
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .all(methodNotAllowed('PUT, DELETE'));
+
+//----------------------------------------------------------------------------------------------------------
+//Route for personalized recommendations
+//GET - unseen movies for the signed-in user, each with a "because you liked X" reason; optional ?limit=
+router.get('/users/me/recommendations', authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    try {
+        const results = await recommendations.recommend(req.user, { limit: req.query.limit });
+
+        return res.status(200).json({
+            success: true,
+            recommendations: results
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for the signed-in user's watchlists
+//GET /users/me/watchlist - a list with its movies (the default list unless ?list= names another), optional ?watched=
+//POST /users/me/watchlist - add a movie to a list
+//DELETE /users/me/watchlist/:movieId - remove a movie from a list
+//PUT /users/me/watchlist/:movieId/watched - mark a movie watched on a date (adding it if needed); DELETE unmarks it
+//GET /users/me/history - every movie the user has marked watched, most recent first
+//GET, POST /users/me/lists - the user's lists / create a named list
+//PUT, DELETE /users/me/lists/:listId - rename a list or change its visibility / delete it
+//GET /lists/shared/:shareToken - read-only view of a public list
+
+// The list a watchlist request works on: ?list= (or "list" in the body) picks one of the user's own lists,
+// otherwise their default list. Resolves to null when the named list is not theirs.
+function watchlistFor(req) {
+    const listId = req.query.list || (req.body && req.body.list);
+    return listId ? Watchlist.findOne({ _id: listId, user: req.user._id }) : Watchlist.defaultFor(req.user._id);
+}
+
+const listNotFound = () => new errors.NotFoundError('List not found.', { code: 'list_not_found' });
+
+router.route('/users/me/watchlist')
+  .get(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    try {
+        const list = await watchlistFor(req);
+        if (!list) return next(listNotFound());
+
+        const watched = req.query.watched === undefined ? undefined : req.query.watched === 'true';
+        return res.status(200).json({
+            success: true,
+            list: await list.view({ watched })
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .post(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { movieId } = req.body;  // Checked against the OpenAPI document
+
+    try {
+        const list = await watchlistFor(req);
+        if (!list) return next(listNotFound());
+
+        if (!(await Movie.exists({ _id: movieId }))) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        // Only push when the movie is not already listed, so concurrent adds cannot duplicate it
+        const added = await Watchlist.updateOne(
+            { _id: list._id, 'items.movieId': { $ne: movieId } },
+            { $push: { items: { movieId, addedAt: new Date() } } }
+        );
+        if (added.modifiedCount === 0) {
+            return next(new errors.ConflictError(`The movie is already on "${list.name}".`));
+        }
+
+        const updated = await Watchlist.findById(list._id);
+        return res.status(201).json({
+            success: true,
+            message: `Added to "${list.name}".`,
+            list: await updated.view()
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+  .all(methodNotAllowed('GET, POST'));
+
+router.route('/users/me/watchlist/:movieId')
+  .delete(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    try {
+        const list = await watchlistFor(req);
+        if (!list) return next(listNotFound());
+
+        const removed = await Watchlist.updateOne({ _id: list._id }, { $pull: { items: { movieId } } });
+        if (removed.modifiedCount === 0) {
+            return next(new errors.NotFoundError(`The movie is not on "${list.name}".`));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Removed from "${list.name}".`
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+  .all(methodNotAllowed('DELETE'));
+
+router.route('/users/me/watchlist/:movieId/watched')
+  .put(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+    const watchedAt = req.body.watchedAt ? new Date(req.body.watchedAt) : new Date();
+
+    if (watchedAt > new Date()) {
+        return next(new errors.BadRequestError('watchedAt cannot be in the future.'));
+    }
+
+    try {
+        const list = await watchlistFor(req);
+        if (!list) return next(listNotFound());
+
+        const marked = await Watchlist.updateOne(
+            { _id: list._id, 'items.movieId': movieId },
+            { $set: { 'items.$.watchedAt': watchedAt } }
+        );
+
+        // A movie watched without being listed first is added as it is marked
+        if (marked.matchedCount === 0) {
+            if (!(await Movie.exists({ _id: movieId }))) {
+                return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+            }
+            await Watchlist.updateOne(
+                { _id: list._id, 'items.movieId': { $ne: movieId } },
+                { $push: { items: { movieId, addedAt: new Date(), watchedAt } } }
+            );
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Marked as watched on "${list.name}".`,
+            item: { movieId, watchedAt }
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .delete(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    try {
+        const list = await watchlistFor(req);
+        if (!list) return next(listNotFound());
+
+        const unmarked = await Watchlist.updateOne(
+            { _id: list._id, 'items.movieId': movieId },
+            { $unset: { 'items.$.watchedAt': '' } }
+        );
+        if (unmarked.matchedCount === 0) {
+            return next(new errors.NotFoundError(`The movie is not on "${list.name}".`));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Marked as not watched on "${list.name}".`
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+  .all(methodNotAllowed('PUT, DELETE'));
+
+router.get('/users/me/history', authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const pagination = movieList.parsePagination(req.query);
+    if (pagination.error) {
+        return next(new errors.BadRequestError(pagination.error));
+    }
+    const { limit, page } = pagination;
+
+    try {
+        const [result] = await Watchlist.aggregate([
+            { $match: { user: req.user._id } },
+            { $unwind: '$items' },
+            { $match: { 'items.watchedAt': { $exists: true } } },
+            // A movie on several lists appears once, at the latest date it was marked watched
+            { $group: { _id: '$items.movieId', watchedAt: { $max: '$items.watchedAt' } } },
+            {
+                $lookup: {
+                    from: 'movies',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'movie',
+                    pipeline: [
+                        { $match: { deletedAt: null } },
+                        { $project: { title: 1, releaseDate: 1, genre: 1, imageUrl: 1, avgRating: 1, reviewCount: 1 } }
+                    ]
+                }
+            },
+            { $unwind: '$movie' },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    history: [
+                        { $sort: { watchedAt: -1, _id: -1 } },
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        { $project: { _id: 0, movie: 1, watchedAt: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            history: result.history,
+            total: result.total.length > 0 ? result.total[0].count : 0,
+            page,
+            limit
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.route('/users/me/lists')
+  .get(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    try {
+        // Make sure the default list exists so it is always part of the answer
+        await Watchlist.defaultFor(req.user._id);
+        const lists = await Watchlist.find({ user: req.user._id }).sort({ isDefault: -1, name: 1 });
+
+        return res.status(200).json({
+            success: true,
+            lists: lists.map(list => list.summary())
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+
+  .post(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { name, visibility } = req.body;  // Checked against the OpenAPI document
+
+    try {
+        const list = await Watchlist.create({ user: req.user._id, name, visibility });
+
+        return res.status(201).json({
+            success: true,
+            message: `Created "${list.name}".`,
+            list: list.summary()
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new errors.ConflictError(`You already have a list named "${name}".`));
+        }
+        return next(err);
+    }
+  })
+  .all(methodNotAllowed('GET, POST'));
+
+router.route('/users/me/lists/:listId')
+  .put(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { listId } = req.params;  // Extract listId from URL parameters
+    const { name, visibility } = req.body;  // Checked against the OpenAPI document
+
+    try {
+        const list = await Watchlist.findOne({ _id: listId, user: req.user._id });
+        if (!list) return next(listNotFound());
+
+        if (name !== undefined) list.name = name;
+        if (visibility !== undefined) list.visibility = visibility;
+        await list.save();
+
+        return res.status(200).json({
+            success: true,
+            message: `Updated "${list.name}".`,
+            list: list.summary()
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new errors.ConflictError(`You already have a list named "${name}".`));
+        }
+        return next(err);
+    }
+  })
+
+  .delete(authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    const { listId } = req.params;  // Extract listId from URL parameters
+
+    try {
+        const list = await Watchlist.findOne({ _id: listId, user: req.user._id });
+        if (!list) return next(listNotFound());
+
+        // /users/me/watchlist always has a list to work on
+        if (list.isDefault) {
+            return next(new errors.ConflictError('Your default watchlist cannot be deleted.'));
+        }
+
+        await list.deleteOne();
+        return res.status(200).json({
+            success: true,
+            message: `Deleted "${list.name}".`
+        });
+    } catch (err) {
+        return next(err);
+    }
+  })
+  .all(methodNotAllowed('PUT, DELETE'));
+
+router.get('/lists/shared/:shareToken', validate, async (req, res, next) => {
+    try {
+        // Private lists answer 404 so share links do not reveal that they exist
+        const list = await Watchlist.findOne({ shareToken: req.params.shareToken, visibility: 'public' });
+        if (!list) return next(listNotFound());
+
+        return res.status(200).json({
+            success: true,
+            list: await list.view()
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Route for searching movie titles, actors, characters and review text
+//GET - ranked movie and review hits for ?q=, with optional type, limit, prefix and fuzzy parameters
+router.get('/search', authJwtController.isAuthenticated, validate, async (req, res, next) => {
+    // Parse the search terms and options
+    const options = search.parseSearchQuery(req.query);
+    if (options.error) {
+        return next(new errors.BadRequestError(options.error));
+    }
+
+    try {
+        const results = await search.search(options);
+
+        // Return the ranked hits
+        return res.status(200).json({
+            success: true,
+            query: options.q,
+            results
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Admin routes, all restricted to the admin role
+//GET /admin/users - list users and their roles
+//PUT /admin/users/:userId/role - promote or demote a user
+//POST /admin/ratings/recompute - rebuild stored movie rating aggregates from reviews
+//GET /admin/movies/deleted - list soft-deleted movies, most recently deleted first
+//DELETE /admin/movies/:movieId - permanently delete a soft-deleted movie with its reviews
+//POST /admin/movies/:movieId/revert - restore a movie's fields to an earlier revision from its history
+//GET /admin/consistency - report reviews whose movie no longer exists
+//GET /admin/reviews/moderation - the moderation queue: held reviews and flagged ones
+//POST /admin/reviews/:reviewId/moderation - approve, edit or reject a review
+const requireAdmin = [authJwtController.isAuthenticated, authJwtController.requireRole('admin')];
+
+router.get('/admin/users', requireAdmin, validate, async (req, res, next) => {
+    try {
+        const users = await User.find().select('name username role').sort({ username: 1 });
+
+        return res.status(200).json({
+            success: true,
+            users
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.put('/admin/users/:userId/role', requireAdmin, validate, async (req, res, next) => {
+    const { userId } = req.params;  // Extract userId from URL parameters
+    const { role } = req.body;
+
+    // Validate the userId format
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return next(new errors.BadRequestError('Invalid userId format.'));
+    }
+
+    try {
+        const user = await User.findById(userId);
+
+        // If the user is not found, return a 404
+        if (!user) {
+            return next(new errors.NotFoundError(`User with id "${userId}" not found.`));
+        }
+
+        // Never demote the last admin, or nobody could manage roles again
+        if (user.role === 'admin' && role !== 'admin') {
+            const admins = await User.countDocuments({ role: 'admin' });
+            if (admins <= 1) {
+                return next(new errors.ConflictError('Cannot demote the only admin. Promote another admin first.'));
+            }
+        }
 
+        user.role = role;
+        await user.save();
 
-const PORT = process.env.PORT || 8080; // Define PORT before using it
-app.listen(PORT, () => {
-console.log(`Server is running on port ${PORT}`);
+        return res.status(200).json({
+            success: true,
+            message: `User "${user.username}" now has the ${role} role.`,
+            user: { _id: user._id, name: user.name, username: user.username, role: user.role }
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.post('/admin/ratings/recompute', requireAdmin, validate, async (req, res, next) => {
+    try {
+        const { checked, repaired } = await Movie.recomputeRatings();
+        if (repaired > 0) await cache.invalidateAll();
+
+        return res.status(200).json({
+            success: true,
+            message: `Checked ${checked} movie(s); repaired aggregates on ${repaired}.`,
+            checked,
+            repaired
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.get('/admin/movies/deleted', requireAdmin, validate, async (req, res, next) => {
+    const pagination = movieList.parsePagination(req.query);
+    if (pagination.error) {
+        return next(new errors.BadRequestError(pagination.error));
+    }
+    const { limit, page } = pagination;
+    const deleted = { deletedAt: { $ne: null } };
+
+    try {
+        const [movies, total] = await Promise.all([
+            Movie.find(deleted)
+                .setOptions({ withDeleted: true })
+                .select('title releaseDate genre reviewCount deletedAt deletedBy')
+                .sort({ deletedAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Movie.countDocuments(deleted).setOptions({ withDeleted: true })
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            movies,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.delete('/admin/movies/:movieId', requireAdmin, validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+
+    try {
+        const movie = await Movie.findById(movieId).setOptions({ withDeleted: true });
+
+        // If the movie is not found, return a 404
+        if (!movie) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" not found.`));
+        }
+
+        // Only movies already in the trash can be purged
+        const purged = movie.deletedAt ? await Movie.purge(movie._id) : null;
+        if (!purged) {
+            return next(new errors.ConflictError(`Movie with id "${movieId}" is not deleted. Delete it with DELETE /movies/${movieId} first.`));
+        }
+
+        // The purge event stands for the movie's reviews too, which went with it
+        await audit.recordMovie(req, 'purge', movie, audit.movieState(movie));
+
+        // Soft-deleted movies keep their image so a restore brings it back; a purge deletes the files
+        await images.removeImage(movie._id, movie.image);
+
+        return res.status(200).json({
+            success: true,
+            message: `Movie "${movie.title}" and ${purged.reviewsDeleted} review(s) have been permanently deleted.`,
+            reviewsDeleted: purged.reviewsDeleted
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.post('/admin/movies/:movieId/revert', requireAdmin, rateLimit.limit('movieWrite'), validate, async (req, res, next) => {
+    const { movieId } = req.params;  // Extract movieId from URL parameters
+    const { revision } = req.body;
+
+    // Validate the movieId format
+    if (!mongoose.Types.ObjectId.isValid(movieId)) {
+        return next(new errors.BadRequestError('Invalid movieId format.'));
+    }
+
+    try {
+        const event = await audit.findRevision(movieId, revision);
+        if (!event) {
+            return next(new errors.NotFoundError(`Movie with id "${movieId}" has no revision ${revision}.`, { code: 'revision_not_found' }));
+        }
+
+        // A revert is an edit like any other: it honours If-Match, gets a new revision and is recorded.
+        // The poster is not part of a revision, since replaced images are deleted.
+        return updateMovie(req, res, next, () => ({ fields: event.snapshot }), { action: 'revert', revertedTo: revision });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.get('/admin/consistency', requireAdmin, validate, async (req, res, next) => {
+    try {
+        const report = await Review.findOrphans();
+
+        return res.status(200).json({
+            success: true,
+            message: `Found ${report.orphanedReviews} orphaned review(s).`,
+            ...report
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.get('/admin/reviews/moderation', requireAdmin, validate, async (req, res, next) => {
+    const pagination = movieList.parsePagination(req.query);
+    if (pagination.error) {
+        return next(new errors.BadRequestError(pagination.error));
+    }
+    const { limit, page } = pagination;
+
+    try {
+        const { reviews, total } = await moderation.queue({ status: req.query.status, page, limit });
+
+        // Moderators get the moderation notes, which a review's JSON leaves out
+        return res.status(200).json({
+            success: true,
+            reviews: reviews.map(review => review.toObject()),
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+router.post('/admin/reviews/:reviewId/moderation', requireAdmin, validate, async (req, res, next) => {
+    const { reviewId } = req.params;  // Extract reviewId from URL parameters
+    const { action, review: text, note } = req.body;
+
+    try {
+        const review = await Review.findById(reviewId).select('+moderation');
+        if (!review) {
+            return next(new errors.NotFoundError(`Review with id "${reviewId}" not found.`));
+        }
+
+        const before = audit.reviewState(review);
+        const result = await moderation.moderate(review, req.user, { action, text, note });
+        if (result.error) {
+            return next(errors.fromStatus(result.status, result.error));
+        }
+        await audit.recordReview(req, 'moderate', review, before);
+        await cache.invalidateMovies([review.movieId]);
+
+        return res.status(200).json({
+            success: true,
+            message: `Review ${review.status === 'rejected' ? 'rejected' : 'published'}.`,
+            review: result.review.toObject()
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Route for analytics reports (admins)
+//GET - request counts by movie, genre and route, for ?from=&to= (ISO dates, default last 7 days) and optional ?type=
+router.get('/analytics/movies', requireAdmin, validate, async (req, res, next) => {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    // Validate the time window
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return next(new errors.BadRequestError('from and to must be valid dates.'));
+    }
+    if (from && to && from > to) {
+        return next(new errors.BadRequestError('from must be before to.'));
+    }
+
+    const { type } = req.query;  // Checked against the event types in the OpenAPI document
+
+    try {
+        const report = await analytics.movieReport({ from, to, type });
+
+        return res.status(200).json({
+            success: true,
+            report
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+//API documentation
+//GET /openapi.json - the OpenAPI document that also drives request validation
+//GET /docs - interactive documentation page rendering that document
+router.get('/openapi.json', (req, res) => {
+    res.json(openapiDocument);
+});
+
+router.get('/docs', (req, res) => {
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>${openapiDocument.info.title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>`);
+});
+
+//----------------------------------------------------------------------------------------------------------
+//Routes for health checks, e.g. by a load balancer or container orchestrator
+//GET /health - liveness: the process is up and answering requests
+//GET /ready - readiness: the database answers and the server is not shutting down; 503 otherwise
+router.get('/health', (req, res) => {
+    res.status(200).json({ success: true, status: 'ok', uptime: process.uptime() });
 });
 
-module.exports = app; // for testing only
\ No newline at end of file
+router.get('/ready', async (req, res, next) => {
+    try {
+        const database = await db.status();
+        const shuttingDown = Boolean(req.app.locals.shuttingDown);
+        const ready = database === 'connected' && !shuttingDown;
+
+        res.status(ready ? 200 : 503).json({
+            success: ready,
+            status: ready ? 'ready' : 'unavailable',
+            database,
+            shuttingDown
+        });
+    } catch (err) {
+        return next(err);
+    }
+});
+
+//----------------------------------------------------------------------------------------------------------
+// Build the Express app around the router. Tests make their own with createApp() and connect the database
+// themselves (see test/setup.js); start() below does both for a real server.
+function createApp() {
+    const app = express();
+    // Behind a hosting proxy, req.ip must come from X-Forwarded-For or every client would share one rate limit
+    if (process.env.TRUST_PROXY_HOPS) app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
+    app.use(errors.requestId);
+
+    // While shutting down, close each keep-alive connection once its response is written, or the server
+    // would wait for clients to hang up. Checked as headers go out, so requests already in flight are covered.
+    app.use((req, res, next) => {
+        const writeHead = res.writeHead;
+        res.writeHead = function(...args) {
+            if (app.locals.shuttingDown) res.setHeader('Connection', 'close');
+            return writeHead.apply(this, args);
+        };
+        next();
+    });
+    app.use(cors());
+    app.use(bodyParser.json({ type: ['application/json', moviePatch.MERGE_PATCH, moviePatch.JSON_PATCH] }));
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use(passport.initialize());
+
+    app.use('/', router);
+
+    // Anything unmatched is a 404; every error passed to next() becomes a problem+json response (see errors.js)
+    app.use(errors.notFound);
+    app.use(errors.errorHandler);
+    return app;
+}
+
+// Serve the app on PORT and connect to MongoDB. Requests are served while the connection is still being
+// retried; GET /ready reports 503 until it is up, and the process exits if it never comes up.
+// SIGTERM or SIGINT starts a graceful shutdown: /ready turns 503, no new connections are accepted,
+// in-flight requests get SHUTDOWN_TIMEOUT_MS (default 10s) to finish, then the connection pool is closed.
+function start(port = process.env.PORT || 8080) {
+    const app = createApp();
+    const server = app.listen(port, () => {
+        console.log(`Server is running on port ${server.address().port}`);
+    });
+
+    db.connect().catch(err => {
+        if (app.locals.shuttingDown) return; // Gave up because of the shutdown
+        console.error('MongoDB connection error:', err);
+        process.exit(1);
+    });
+
+    const shutdown = async (signal) => {
+        if (app.locals.shuttingDown) return;
+        app.locals.shuttingDown = true;
+        console.log(`${signal} received, draining in-flight requests`);
+
+        // Requests still running at the deadline are cut off so the process always exits
+        const deadline = setTimeout(() => {
+            console.error('Shutdown timed out; exiting with requests still in flight');
+            process.exit(1);
+        }, Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000);
+        deadline.unref();
+
+        try {
+            await new Promise(resolve => server.close(resolve));
+            await db.disconnect();
+            console.log('Shutdown complete');
+        } catch (err) {
+            console.error('Error during shutdown:', err);
+            process.exitCode = 1;
+        } finally {
+            clearTimeout(deadline);
+            process.exit();
+        }
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    return server;
+}
+
+// node server.js starts the server; requiring the module (as the tests do) only defines the app
+if (require.main === module) {
+    start();
+}
+
+module.exports = { createApp, start };
\ No newline at end of file
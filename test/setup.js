@@ -0,0 +1,38 @@
+// Root hooks for every test file (loaded with mocha --require): connect the shared Mongoose connection
+// before the first suite and close it after the last. Tests run against the database in TEST_DB when it
+// is set, otherwise a throwaway in-memory MongoDB; it is a one-node replica set because purging a
+// movie uses a transaction.
+let envPath = __dirname + "/../.env";
+require('dotenv').config({ path: envPath });
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+
+let db = require('../db');
+let cache = require('../cache');
+let rateLimit = require('../rate_limit');
+let memoryServer = null;
+
+exports.mochaHooks = {
+    async beforeAll() {
+        this.timeout(120000); // The first run downloads a MongoDB binary
+
+        let uri = process.env.TEST_DB;
+        if (!uri) {
+            const { MongoMemoryReplSet } = require('mongodb-memory-server');
+            memoryServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+            uri = memoryServer.getUri();
+        }
+        await db.connect(uri, { retries: 0 });
+    },
+
+    // Tests seed and clean up data straight through the models, behind the response cache's back, and
+    // every file signs up from the same address, so each test starts with an empty cache and fresh budgets
+    async beforeEach() {
+        await cache.invalidateAll();
+        rateLimit.setStore(rateLimit.createMemoryStore());
+    },
+
+    async afterAll() {
+        await db.disconnect();
+        if (memoryServer) await memoryServer.stop();
+    }
+};
@@ -0,0 +1,34 @@
+let envPath = __dirname + "/../.env";
+require('dotenv').config({ path: envPath });
+let chai = require('chai');
+let chaiHttp = require('chai-http');
+let { createApp } = require('../server');
+chai.should();
+
+chai.use(chaiHttp);
+
+describe('Health Checks', () => {
+    it('should report the process alive', async () => {
+        const res = await chai.request(createApp()).get('/health');
+
+        res.should.have.status(200);
+        res.body.should.have.property('status', 'ok');
+    });
+
+    it('should report ready once the database is connected', async () => {
+        const res = await chai.request(createApp()).get('/ready');
+
+        res.should.have.status(200);
+        res.body.should.include({ status: 'ready', database: 'connected' });
+    });
+
+    it('should stop reporting ready while shutting down', async () => {
+        const app = createApp();
+        app.locals.shuttingDown = true;
+
+        const res = await chai.request(app).get('/ready');
+
+        res.should.have.status(503);
+        res.body.should.have.property('shuttingDown', true);
+    });
+});
@@ -2,9 +2,18 @@ let envPath = __dirname + "/../.env";
 require('dotenv').config({ path: envPath });
 let chai = require('chai');
 let chaiHttp = require('chai-http');
-let server = require('../server');
+let { createApp } = require('../server');
+let server = createApp();
 let User = require('../Users');
 let Movie = require('../Movies');
+let Review = require('../Reviews');
+let Person = require('../Persons');
+let AuditEvent = require('../AuditEvents');
+let images = require('../images');
+let cache = require('../cache');
+let movieTransfer = require('../movie_transfer');
+let sharp = require('sharp');
+let { Writable } = require('stream');
 chai.should();
 
 chai.use(chaiHttp);
@@ -13,7 +22,7 @@ const testData = {
     user: {
         name: 'test2',
         username: 'email2@email.com',
-        password: '123@abc'
+        password: '123@abcd'
     },
     movie: {
         title: 'Alice in Wonderland',
@@ -29,9 +38,11 @@ const testData = {
 
 
 let token = '';
+let previousStorage;
 
 describe('Test Movie Routes', () => {
     before(async () => {
+        previousStorage = images.setStorage(images.createMemoryStorage());
         try {
             await Promise.all([
                 User.deleteOne({ name: 'test2' }),
@@ -52,6 +63,9 @@ describe('Test Movie Routes', () => {
             signupRes.should.have.status(201);
             signupRes.body.success.should.be.eql(true);
 
+            // Adding movies requires the editor role
+            await User.updateOne({ username: testData.user.username }, { role: 'editor' });
+
             const signinRes = await chai.request(server)
                 .post('/signin')
                 .send(testData.user);
@@ -75,21 +89,383 @@ describe('Test Movie Routes', () => {
             res.body.movie.should.have.property('title', testData.movie.title);
         });
 
+        it('should link actors to people with a filmography', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const depp = movie.actors.find(a => a.actorName === 'Johnny Depp');
+            depp.should.have.property('person');
+
+            const res = await chai.request(server)
+                .get(`/people/${depp.person}`);
+
+            res.should.have.status(200);
+            res.body.person.should.have.property('name', 'Johnny Depp');
+            const credit = res.body.filmography.find(f => f.title === testData.movie.title);
+            credit.characters.should.include('Mad Hatter');
+        });
+
+        it('should find a misspelt duplicate person and merge their credits', async () => {
+            const alice = await Movie.findOne({ title: testData.movie.title });
+            const depp = alice.actors.find(a => a.actorName === 'Johnny Depp').person;
+            const movie = await Movie.create({
+                title: 'Merged Credits', releaseDate: 2005, genre: 'Comedy',
+                actors: [{ actorName: 'Jonny Depp', characterName: 'Willy Wonka' }]
+            });
+            const duplicate = movie.actors[0].person;
+            try {
+                const duplicatesRes = await chai.request(server)
+                    .get('/people/duplicates')
+                    .set('Authorization', token);
+                duplicatesRes.should.have.status(200);
+                const group = duplicatesRes.body.groups.find(g => g.some(p => p._id === String(depp)));
+                group.map(p => p._id).should.include(String(duplicate));
+
+                const mergeRes = await chai.request(server)
+                    .post(`/people/${depp}/merge`)
+                    .set('Authorization', token)
+                    .send({ sources: [String(duplicate)] });
+                mergeRes.should.have.status(200);
+                mergeRes.body.should.have.property('moviesUpdated', 1);
+
+                const merged = await Movie.findById(movie._id);
+                merged.actors[0].person.equals(depp).should.be.eql(true);
+                merged.actors[0].should.have.property('actorName', 'Johnny Depp');
+                (await Person.findById(duplicate) === null).should.be.eql(true);
+
+                const event = await AuditEvent.findOne({ entityId: movie._id, action: 'update' });
+                event.should.have.property('route', 'POST /people/:personId/merge');
+                event.changes.map(c => c.field).should.include('actors');
+            } finally {
+                // The misspelling became an alias of the surviving person; drop it so a rerun starts over
+                await Promise.all([
+                    Movie.deleteOne({ _id: movie._id }),
+                    Person.deleteOne({ _id: duplicate }),
+                    Person.updateOne({ _id: depp }, { $pull: { aliases: Person.normalizeName('Jonny Depp') } })
+                ]);
+            }
+        });
+
+        it('should list every invalid field when adding a movie', async () => {
+            const res = await chai.request(server)
+                .post('/movies')
+                .set('Authorization', token)
+                .send({ title: 'Bad Movie', releaseDate: 1850, genre: 'Musical', actors: [] });
+
+            res.should.have.status(400);
+            res.body.errors.map(e => e.field).should.have.members(['body.releaseDate', 'body.genre', 'body.actors']);
+        });
+
+        it('should patch a movie and reject a stale If-Match', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const getRes = await chai.request(server).get(`/movies/${movie._id}`);
+            const etag = getRes.headers.etag;
+
+            const patchRes = await chai.request(server)
+                .patch(`/movies/${movie._id}`)
+                .set('Authorization', token)
+                .set('Content-Type', 'application/json-patch+json')
+                .set('If-Match', etag)
+                .send(JSON.stringify([{ op: 'replace', path: '/actors/0/characterName', value: 'Alice' }]));
+
+            patchRes.should.have.status(200);
+            patchRes.body.movie.actors[0].should.have.property('characterName', 'Alice');
+            patchRes.headers.etag.should.not.be.eql(etag);
+
+            const staleRes = await chai.request(server)
+                .patch(`/movies/${movie._id}`)
+                .set('Authorization', token)
+                .set('Content-Type', 'application/merge-patch+json')
+                .set('If-Match', etag)
+                .send(JSON.stringify({ releaseDate: 2011 }));
+
+            staleRes.should.have.status(412);
+        });
+
+        it('should record edits in the history and revert to an earlier revision', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const historyRes = await chai.request(server)
+                .get(`/movies/${movie._id}/history`)
+                .set('Authorization', token);
+
+            historyRes.should.have.status(200);
+            historyRes.body.events.map(e => e.action).should.be.eql(['update', 'create']);
+            const [update, create] = historyRes.body.events;
+            update.actor.should.have.property('username', testData.user.username);
+            update.changes.map(c => c.field).should.be.eql(['actors']);
+            create.revision.should.be.eql(0);
+
+            // Reverting is for admins
+            await User.updateOne({ username: testData.user.username }, { role: 'admin' });
+            try {
+                const revertRes = await chai.request(server)
+                    .post(`/admin/movies/${movie._id}/revert`)
+                    .set('Authorization', token)
+                    .send({ revision: create.revision });
+
+                revertRes.should.have.status(200);
+                revertRes.body.movie.actors[0].should.have.property('characterName', 'Alice Kingsleigh');
+            } finally {
+                await User.updateOne({ username: testData.user.username }, { role: 'editor' });
+            }
+
+            const afterRes = await chai.request(server)
+                .get(`/movies/${movie._id}/history`)
+                .set('Authorization', token);
+
+            afterRes.body.events[0].should.include({ action: 'revert', revertedTo: 0 });
+        });
+
+        it('should answer 304 while a cached movie is current', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const getRes = await chai.request(server).get(`/movies/${movie._id}`);
+            getRes.should.have.status(200);
+            getRes.should.have.header('cache-control', 'public, no-cache');
+            const etag = getRes.headers.etag;
+
+            const notModifiedRes = await chai.request(server)
+                .get(`/movies/${movie._id}`)
+                .set('If-None-Match', etag);
+            notModifiedRes.should.have.status(304);
+
+            // A change invalidates the cached copy and its ETag
+            await chai.request(server)
+                .patch(`/movies/${movie._id}`)
+                .set('Authorization', token)
+                .set('Content-Type', 'application/merge-patch+json')
+                .send(JSON.stringify({ releaseDate: 2011 }));
+
+            const changedRes = await chai.request(server)
+                .get(`/movies/${movie._id}`)
+                .set('If-None-Match', etag);
+            changedRes.should.have.status(200);
+            changedRes.body.movie.should.have.property('releaseDate', 2011);
+            changedRes.headers.etag.should.not.be.eql(etag);
+        });
+
+        it('should not cache a read that a change overtook', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const miss = await cache.getMovie(String(movie._id), 'plain');
+            (miss.entry === null).should.be.eql(true);
+
+            // A write lands between the miss and storing what was read before it
+            await cache.invalidateMovies([movie._id]);
+            await cache.put(miss.key, cache.createEntry({ success: true, movie: { title: 'Stale' } }));
+
+            const res = await chai.request(server).get(`/movies/${movie._id}`);
+            res.should.have.status(200);
+            res.body.movie.should.have.property('title', testData.movie.title);
+        });
+
+        it('should upload a poster and serve its thumbnails', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const poster = await sharp({ create: { width: 600, height: 900, channels: 3, background: 'navy' } }).png().toBuffer();
+
+            const uploadRes = await chai.request(server)
+                .post(`/movies/${movie._id}/image`)
+                .set('Authorization', token)
+                .attach('image', poster, 'poster.png');
+
+            uploadRes.should.have.status(200);
+            uploadRes.body.movie.image.should.include({ format: 'png', width: 600, height: 900 });
+            const imageUrl = uploadRes.body.movie.imageUrl;
+
+            const thumbRes = await chai.request(server)
+                .get(imageUrl)
+                .query({ size: 'small' })
+                .buffer(true);
+
+            thumbRes.should.have.status(200);
+            thumbRes.should.have.header('content-type', 'image/png');
+            thumbRes.should.have.header('cache-control', /immutable/);
+            (await sharp(thumbRes.body).metadata()).should.include({ width: 160 });
+        });
+
+        it('should reject an upload that is not an image', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const res = await chai.request(server)
+                .post(`/movies/${movie._id}/image`)
+                .set('Authorization', token)
+                .attach('image', Buffer.from('not an image'), 'poster.png');
+
+            res.should.have.status(415);
+        });
+
+        it('should dry-run an import and report each row', async () => {
+            const lines = [
+                JSON.stringify({ title: 'Imported Movie', releaseDate: 1999, genre: 'Drama', actors: [{ actorName: 'A', characterName: 'B' }] }),
+                JSON.stringify({ title: 'Broken Movie', releaseDate: 1999, genre: 'Drama', actors: [] })
+            ];
+            const res = await chai.request(server)
+                .post('/movies/import')
+                .query({ dryRun: 'true' })
+                .set('Authorization', token)
+                .set('Content-Type', 'application/x-ndjson')
+                .send(lines.join('\n'));
+
+            res.should.have.status(200);
+            res.body.summary.should.include({ dryRun: true, created: 1, error: 1 });
+            res.body.rows[1].should.have.property('row', 2);
+            (await Movie.findOne({ title: 'Imported Movie' }) === null).should.be.eql(true);
+        });
+
+        it('should hold imported reviews the content filter objects to', async () => {
+            const line = JSON.stringify({
+                title: 'Imported Movie', releaseDate: 1999, genre: 'Drama',
+                actors: [{ actorName: 'Johnny Depp', characterName: 'B' }],
+                reviews: [
+                    { username: 'spammer', review: 'Cheap tickets at http://example.com', rating: 5 },
+                    { username: 'critic', review: 'A fine film.', rating: 4 }
+                ]
+            });
+            const res = await chai.request(server)
+                .post('/movies/import')
+                .set('Authorization', token)
+                .set('Content-Type', 'application/x-ndjson')
+                .send(line);
+
+            const movie = await Movie.findOne({ title: 'Imported Movie' });
+            try {
+                res.should.have.status(200);
+                res.body.summary.should.include({ created: 1, error: 0 });
+                (await Review.findOne({ movieId: movie._id, username: 'spammer' })).should.have.property('status', 'pending');
+                movie.should.have.property('reviewCount', 1); // Only the published review counts
+                movie.should.have.property('avgRating', 4);
+            } finally {
+                if (movie) {
+                    await Promise.all([Review.deleteMany({ movieId: movie._id }), Movie.deleteOne({ _id: movie._id })]);
+                }
+            }
+        });
+
+        it('should report an import of a soft-deleted movie instead of adding a copy', async () => {
+            const deleted = await Movie.create({
+                title: 'Deleted Import', releaseDate: 1999, genre: 'Drama',
+                actors: [{ actorName: 'A', characterName: 'B' }], deletedAt: new Date()
+            });
+            const line = JSON.stringify({ title: 'Deleted Import', releaseDate: 1999, genre: 'Comedy', actors: [{ actorName: 'A', characterName: 'B' }] });
+            try {
+                const res = await chai.request(server)
+                    .post('/movies/import')
+                    .query({ upsert: 'true' })
+                    .set('Authorization', token)
+                    .set('Content-Type', 'application/x-ndjson')
+                    .send(line);
+
+                res.should.have.status(200);
+                res.body.summary.should.include({ error: 1, created: 0, updated: 0 });
+                res.body.rows[0].errors[0].message.should.match(/deleted/);
+                (await Movie.countDocuments({ title: 'Deleted Import' }).setOptions({ withDeleted: true })).should.be.eql(1);
+            } finally {
+                await Movie.deleteMany({ title: 'Deleted Import' });
+            }
+        });
+
+        it('should export movies as CSV', async () => {
+            const res = await chai.request(server)
+                .get('/movies/export')
+                .query({ format: 'csv' })
+                .set('Authorization', token);
+
+            res.should.have.status(200);
+            res.text.split('\r\n')[0].should.be.eql('title,releaseDate,genre,actors');
+            res.text.should.include('Mia Wasikowska:');
+        });
+
+        it('should stop exporting when the client goes away partway through', async () => {
+            // A client that stops reading, so the first movie fills the buffer, and then disconnects
+            const res = new Writable({ highWaterMark: 1, write() {} });
+            res.type = () => res;
+            res.attachment = () => res;
+
+            const exported = movieTransfer.exportMovies(res, { format: 'ndjson' });
+            while (res.writableLength === 0) await new Promise(resolve => setImmediate(resolve));
+            res.destroy();
+
+            await exported; // Would wait for a 'drain' that never comes
+            res.writableEnded.should.be.eql(false);
+        });
+
+        it('should not let an editor delete a movie', async () => {
+            const movie = await Movie.findOne({ title: testData.movie.title });
+            const res = await chai.request(server)
+                .delete(`/movies/${movie._id}`)
+                .set('Authorization', token);
+
+            res.should.have.status(403);
+        });
+
         it('should retrieve all movies', async () => {
             const res = await chai.request(server)
                 .get('/movies')
                 .set('Authorization', token);
                 
             res.should.have.status(200);
-            res.body.should.be.an('array');
-            res.body.should.have.length.of.at.least(1);
+            res.body.movies.should.be.an('array');
+            res.body.movies.should.have.length.of.at.least(1);
             
-            const addedMovie = res.body.find(m => m.title === testData.movie.title);
+            const addedMovie = res.body.movies.find(m => m.title === testData.movie.title);
             addedMovie.should.have.property('genre', testData.movie.genre);
         });
+
+        it('should filter, sort and paginate movies', async () => {
+            const res = await chai.request(server)
+                .get('/movies')
+                .query({ genre: 'Fantasy', actor: 'depp', releaseDateFrom: 2000, sort: '-year', limit: 1 })
+                .set('Authorization', token);
+
+            res.should.have.status(200);
+            res.body.movies.should.have.length(1);
+            res.body.should.have.property('page', 1);
+            res.body.total.should.be.at.least(1);
+            res.body.links.should.have.property('prev', null);
+            res.body.movies[0].should.have.property('genre', 'Fantasy');
+        });
+
+        it('should find the movie by a partial actor name', async () => {
+            const res = await chai.request(server)
+                .get('/search')
+                .query({ q: 'wasikow', prefix: 'true', type: 'movie' })
+                .set('Authorization', token);
+
+            res.should.have.status(200);
+            const hit = res.body.results.find(h => h.movie.title === testData.movie.title);
+            hit.should.have.property('type', 'movie');
+            hit.highlights.should.have.property('actors.actorName');
+        });
+
+        it('should require a search query', async () => {
+            const res = await chai.request(server)
+                .get('/search')
+                .set('Authorization', token);
+
+            res.should.have.status(400);
+            res.body.success.should.be.eql(false);
+        });
+
+        it('should reject an unknown sort field', async () => {
+            const res = await chai.request(server)
+                .get('/movies')
+                .query({ sort: 'budget' })
+                .set('Authorization', token);
+
+            res.should.have.status(400);
+            res.body.success.should.be.eql(false);
+        });
+
+        it('should answer errors with a problem document', async () => {
+            const res = await chai.request(server)
+                .put('/movies')
+                .set('Authorization', token)
+                .set('X-Request-Id', 'test-request-1');
+
+            res.should.have.status(405);
+            res.should.have.header('content-type', /^application\/problem\+json/);
+            res.should.have.header('X-Request-Id', 'test-request-1');
+            res.body.should.include({ status: 405, code: 'method_not_allowed', requestId: 'test-request-1', success: false });
+        });
     });
 
     after(async () => {
+        images.setStorage(previousStorage);
         try {
             await Promise.all([
                 User.deleteOne({ name: 'test2' }),
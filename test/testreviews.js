@@ -0,0 +1,419 @@
+let envPath = __dirname + "/../.env";
+require('dotenv').config({ path: envPath });
+let chai = require('chai');
+let chaiHttp = require('chai-http');
+let { createApp } = require('../server');
+let server = createApp();
+let User = require('../Users');
+let Movie = require('../Movies');
+let Review = require('../Reviews');
+let analytics = require('../analytics');
+chai.should();
+
+chai.use(chaiHttp);
+
+const testData = {
+    author: {
+        name: 'test3',
+        username: 'email3@email.com',
+        password: '123@abcd'
+    },
+    other: {
+        name: 'test4',
+        username: 'email4@email.com',
+        password: '123@abcd'
+    },
+    movie: {
+        title: 'The Good, the Bad and the Ugly',
+        releaseDate: 1966,
+        genre: 'Western',
+        actors: [
+            { actorName: 'Clint Eastwood', characterName: 'Blondie' },
+            { actorName: 'Eli Wallach', characterName: 'Tuco' }
+        ]
+    }
+};
+
+let authorToken = '';
+let otherToken = '';
+let movieId = '';
+let reviewId = '';
+let heldReviewId = '';
+let analyticsSink = analytics.createMemorySink();
+let previousSinks;
+
+// Sign up and sign in a user, returning their JWT. Posting reviews needs a verified email address.
+async function signIn(user) {
+    await chai.request(server).post('/signup').send(user);
+    await User.updateOne({ username: user.username }, { emailVerified: true });
+    const res = await chai.request(server).post('/signin').send(user);
+    return res.body.token;
+}
+
+describe('Test Review Routes', () => {
+    before(async () => {
+        try {
+            await Promise.all([
+                User.deleteMany({ name: { $in: ['test3', 'test4'] } }),
+                Movie.deleteOne({ title: testData.movie.title })
+            ]);
+
+            authorToken = await signIn(testData.author);
+            otherToken = await signIn(testData.other);
+
+            const movie = await Movie.create(testData.movie);
+            movieId = movie._id.toString();
+
+            previousSinks = analytics.setSinks([analyticsSink]);
+        } catch (error) {
+            console.error("Error in setup:", error);
+            throw error;
+        }
+    });
+
+    describe('/movies/:movieId/review', () => {
+        it('should add a review', async () => {
+            const res = await chai.request(server)
+                .post(`/movies/${movieId}/review`)
+                .set('Authorization', authorToken)
+                .send({ username: testData.other.username, review: 'A classic.', rating: 5 });
+
+            res.should.have.status(201);
+            res.body.review.should.have.property('createdAt');
+            // The author comes from the token, never the request body
+            res.body.review.should.have.property('username', testData.author.username);
+            reviewId = res.body.review._id;
+
+            const movie = await Movie.findById(movieId);
+            movie.should.have.property('reviewCount', 1);
+            movie.should.have.property('avgRating', 5);
+            movie.ratingHistogram[5].should.be.eql(1);
+        });
+
+        it('should record an analytics event for the review', async () => {
+            await new Promise(resolve => setImmediate(resolve)); // Events are recorded once the response finishes
+
+            const event = analyticsSink.events.find(e => e.type === 'review_post');
+            event.should.have.property('route', 'POST /movies/:movieId/review');
+            event.should.have.property('movieTitle', testData.movie.title);
+            event.should.have.property('genre', 'Western');
+        });
+
+        it('should record the movies a page of GET /movies listed', async () => {
+            const res = await chai.request(server)
+                .get('/movies')
+                .query({ genre: 'Western', limit: 100 })
+                .set('Authorization', authorToken);
+            res.should.have.status(200);
+            await new Promise(resolve => setImmediate(resolve));
+
+            const event = analyticsSink.events.find(e => e.route === 'GET /movies' && String(e.movieId) === movieId);
+            event.should.have.property('type', 'movie_read');
+            event.should.have.property('genre', 'Western');
+        });
+
+        it('should record a page of GET /movies in one batch and skip revalidations', async () => {
+            const batches = [];
+            const previous = analytics.setSinks([{ record: async (events) => { batches.push(events); } }]);
+            try {
+                const res = await chai.request(server)
+                    .get('/movies')
+                    .query({ limit: 100 })
+                    .set('Authorization', authorToken);
+                res.should.have.status(200);
+                await new Promise(resolve => setImmediate(resolve));
+                batches.should.have.lengthOf(1);
+                batches[0].should.have.lengthOf(res.body.movies.length);
+
+                const revalidateRes = await chai.request(server)
+                    .get('/movies')
+                    .query({ limit: 100 })
+                    .set('Authorization', authorToken)
+                    .set('If-None-Match', res.headers.etag);
+                revalidateRes.should.have.status(304);
+                await new Promise(resolve => setImmediate(resolve));
+                batches.should.have.lengthOf(1);
+            } finally {
+                analytics.setSinks(previous);
+            }
+        });
+
+        it('should hide the reviews of a soft-deleted movie', async () => {
+            const ratingBefore = (await Review.findById(reviewId)).rating;
+            await Movie.updateOne({ _id: movieId }, { deletedAt: new Date() });
+            try {
+                (await chai.request(server).get(`/reviews/${reviewId}`)).should.have.status(404);
+                const voteRes = await chai.request(server)
+                    .put(`/reviews/${reviewId}/vote`)
+                    .set('Authorization', otherToken)
+                    .send({ helpful: true });
+                voteRes.should.have.status(404);
+
+                // Nor can its author edit or delete it, which would leave the movie's aggregates wrong
+                const putRes = await chai.request(server)
+                    .put(`/reviews/${reviewId}`)
+                    .set('Authorization', authorToken)
+                    .send({ rating: 1 });
+                putRes.should.have.status(404);
+                const deleteRes = await chai.request(server)
+                    .delete(`/reviews/${reviewId}`)
+                    .set('Authorization', authorToken);
+                deleteRes.should.have.status(404);
+            } finally {
+                await Movie.updateOne({ _id: movieId }, { $unset: { deletedAt: 1 } });
+            }
+            (await chai.request(server).get(`/reviews/${reviewId}`)).should.have.status(200);
+            (await Review.findById(reviewId)).should.have.property('rating', ratingBefore);
+        });
+
+        it('should count a legacy review under the same username as a duplicate', async () => {
+            const legacy = await Review.create({ movieId, username: testData.other.username, review: 'Seen it before.', rating: 3 });
+            try {
+                const res = await chai.request(server)
+                    .post(`/movies/${movieId}/review`)
+                    .set('Authorization', otherToken)
+                    .send({ review: 'Seen it again.', rating: 4 });
+                res.should.have.status(409);
+                res.body.should.have.property('code', 'duplicate_review');
+            } finally {
+                await Review.deleteOne({ _id: legacy._id });
+            }
+        });
+
+        it('should reject a second review of the same movie by the same user', async () => {
+            const res = await chai.request(server)
+                .post(`/movies/${movieId}/review`)
+                .set('Authorization', authorToken)
+                .send({ review: 'Reviewing again.', rating: 3 });
+
+            res.should.have.status(409);
+            res.body.should.have.property('reviewId', reviewId);
+        });
+
+        it('should list reviews for the movie', async () => {
+            const res = await chai.request(server)
+                .get(`/movies/${movieId}/review`)
+                .query({ sort: '-rating', limit: 5 });
+
+            res.should.have.status(200);
+            res.body.should.have.property('total', 1);
+            res.body.reviews[0].should.have.property('_id', reviewId);
+        });
+
+        it('should return 405 for unsupported verbs', async () => {
+            const res = await chai.request(server)
+                .put(`/movies/${movieId}/review`)
+                .set('Authorization', authorToken);
+
+            res.should.have.status(405);
+            res.should.have.header('Allow', 'GET, POST');
+        });
+    });
+
+    describe('/reviews/:reviewId', () => {
+        it('should not let another user edit the review', async () => {
+            const res = await chai.request(server)
+                .put(`/reviews/${reviewId}`)
+                .set('Authorization', otherToken)
+                .send({ rating: 1 });
+
+            res.should.have.status(403);
+        });
+
+        it('should let the author edit the review', async () => {
+            const res = await chai.request(server)
+                .put(`/reviews/${reviewId}`)
+                .set('Authorization', authorToken)
+                .send({ review: 'Still a classic.', rating: 4 });
+
+            res.should.have.status(200);
+            res.body.review.should.have.property('rating', 4);
+            res.body.review.should.have.property('editedAt');
+
+            const movie = await Movie.findById(movieId);
+            movie.should.have.property('avgRating', 4);
+            movie.ratingHistogram.should.include.ordered.members([0, 0, 0, 0, 1, 0]);
+        });
+
+        it('should let the author delete the review', async () => {
+            const res = await chai.request(server)
+                .delete(`/reviews/${reviewId}`)
+                .set('Authorization', authorToken);
+
+            res.should.have.status(200);
+            (await Review.findById(reviewId) === null).should.be.eql(true);
+
+            const movie = await Movie.findById(movieId);
+            movie.should.have.property('reviewCount', 0);
+            (movie.avgRating === null).should.be.eql(true);
+        });
+    });
+
+    describe('Moderation', () => {
+        it('should hold a review the content filter objects to', async () => {
+            const res = await chai.request(server)
+                .post(`/movies/${movieId}/review`)
+                .set('Authorization', otherToken)
+                .send({ review: 'Total sh1t.', rating: 1 });
+
+            res.should.have.status(201);
+            res.body.review.should.have.property('status', 'pending');
+            res.body.review.should.not.have.property('moderation'); // Only moderators see why
+            heldReviewId = res.body.review._id;
+
+            // Hidden from everyone but its author, and left out of the rating
+            const listRes = await chai.request(server).get(`/movies/${movieId}/review`);
+            listRes.body.should.have.property('total', 0);
+            (await chai.request(server).get(`/reviews/${heldReviewId}`)).should.have.status(404);
+            (await chai.request(server).get(`/reviews/${heldReviewId}`).set('Authorization', otherToken)).should.have.status(200);
+            (await Movie.findById(movieId)).should.have.property('reviewCount', 0);
+        });
+
+        it('should let an admin approve a held review from the queue', async () => {
+            await User.updateOne({ username: testData.author.username }, { role: 'admin' });
+
+            const queueRes = await chai.request(server)
+                .get('/admin/reviews/moderation')
+                .query({ status: 'pending' })
+                .set('Authorization', authorToken);
+
+            queueRes.should.have.status(200);
+            queueRes.body.reviews.find(r => r._id === heldReviewId).moderation.heldFor.should.include('shit');
+
+            const res = await chai.request(server)
+                .post(`/admin/reviews/${heldReviewId}/moderation`)
+                .set('Authorization', authorToken)
+                .send({ action: 'edit', review: 'Total rubbish.', note: 'Language' });
+
+            res.should.have.status(200);
+            res.body.review.should.include({ status: 'published', review: 'Total rubbish.' });
+            (await Movie.findById(movieId)).should.have.property('reviewCount', 1);
+
+            // Everyone else sees the review without the moderator's notes
+            const publicRes = await chai.request(server).get(`/reviews/${heldReviewId}`);
+            publicRes.should.have.status(200);
+            publicRes.body.review.should.not.have.property('moderation');
+        });
+
+        it('should take one flag per user and none from the author', async () => {
+            const flag = (token) => chai.request(server)
+                .post(`/reviews/${heldReviewId}/flag`)
+                .set('Authorization', token)
+                .send({ reason: 'spam' });
+
+            (await flag(authorToken)).should.have.status(201);
+            const againRes = await flag(authorToken);
+            againRes.should.have.status(409);
+            againRes.body.should.have.property('code', 'duplicate_flag');
+            (await flag(otherToken)).should.have.status(403);
+        });
+    });
+
+    describe('Helpfulness votes', () => {
+        it('should take one changeable vote per user', async () => {
+            const vote = (token, helpful) => chai.request(server)
+                .put(`/reviews/${heldReviewId}/vote`)
+                .set('Authorization', token)
+                .send({ helpful });
+
+            const upRes = await vote(authorToken, true);
+            upRes.should.have.status(200);
+            upRes.body.should.include({ vote: true, helpfulVotes: 1, unhelpfulVotes: 0 });
+            upRes.body.helpfulness.should.be.above(0);
+
+            const downRes = await vote(authorToken, false);
+            downRes.body.should.include({ vote: false, helpfulVotes: 0, unhelpfulVotes: 1, helpfulness: 0 });
+
+            (await vote(otherToken, true)).should.have.status(403);
+
+            const withdrawRes = await chai.request(server)
+                .delete(`/reviews/${heldReviewId}/vote`)
+                .set('Authorization', authorToken);
+            withdrawRes.body.should.include({ vote: null, helpfulVotes: 0, unhelpfulVotes: 0 });
+        });
+
+        it('should embed only the most helpful reviews', async () => {
+            const res = await chai.request(server)
+                .get(`/movies/${movieId}`)
+                .query({ reviews: 'true', reviewSort: 'helpful', reviewLimit: 1 });
+
+            res.should.have.status(200);
+            res.body.movie.reviews.should.have.length(1);
+            res.body.movie.reviews[0].should.have.property('_id', heldReviewId);
+        });
+    });
+
+    describe('Recommendations', () => {
+        // Two reviewers who both loved the same movie, one of whom also loved another, and a newcomer
+        const fan = { name: 'test6', username: 'email6@email.com', password: '123@abcd' };
+        const neighbour = { name: 'test7', username: 'email7@email.com', password: '123@abcd' };
+        const newcomer = { name: 'test8', username: 'email8@email.com', password: '123@abcd' };
+        let fanToken;
+        let newcomerToken;
+        let shared;
+        let pick;
+
+        before(async () => {
+            await User.deleteMany({ name: { $in: [fan.name, neighbour.name, newcomer.name] } });
+            fanToken = await signIn(fan);
+            await signIn(neighbour);
+            newcomerToken = await signIn(newcomer);
+
+            [shared, pick] = await Promise.all([
+                Movie.create({ title: 'Shared Favourite', releaseDate: 2001, genre: 'Drama', actors: [{ actorName: 'Actor One', characterName: 'Lead' }] }),
+                Movie.create({ title: 'Co-rated Pick', releaseDate: 2002, genre: 'Comedy', actors: [{ actorName: 'Actor Two', characterName: 'Lead' }] })
+            ]);
+            const [fanUser, neighbourUser] = await Promise.all([User.findOne({ name: fan.name }), User.findOne({ name: neighbour.name })]);
+            await Review.create([
+                { movieId: shared._id, user: fanUser._id, username: fan.username, review: 'Loved it.', rating: 5 },
+                { movieId: shared._id, user: neighbourUser._id, username: neighbour.username, review: 'Loved it too.', rating: 5 },
+                { movieId: pick._id, user: neighbourUser._id, username: neighbour.username, review: 'Also great.', rating: 5 }
+            ]);
+            await Movie.recomputeRatings({ _id: { $in: [shared._id, pick._id] } });
+        });
+
+        it('should recommend what reviewers with the same taste liked, but not what the user reviewed', async () => {
+            const res = await chai.request(server)
+                .get('/users/me/recommendations')
+                .set('Authorization', fanToken);
+
+            res.should.have.status(200);
+            const ids = res.body.recommendations.map(r => r.movie._id);
+            ids.should.not.include(String(shared._id));
+            const recommended = res.body.recommendations.find(r => r.movie._id === String(pick._id));
+            recommended.should.include({ source: 'similar', reason: 'Because you liked "Shared Favourite"' });
+        });
+
+        it('should fall back to popular movies for a user with no reviews', async () => {
+            const res = await chai.request(server)
+                .get('/users/me/recommendations')
+                .set('Authorization', newcomerToken);
+
+            res.should.have.status(200);
+            res.body.recommendations.map(r => r.movie._id).should.include(String(shared._id));
+            res.body.recommendations.forEach(r => r.should.include({ source: 'popular', reason: 'Popular with other reviewers' }));
+        });
+
+        after(async () => {
+            await Promise.all([
+                User.deleteMany({ name: { $in: [fan.name, neighbour.name, newcomer.name] } }),
+                Review.deleteMany({ movieId: { $in: [shared._id, pick._id] } }),
+                Movie.deleteMany({ _id: { $in: [shared._id, pick._id] } })
+            ]);
+        });
+    });
+
+    after(async () => {
+        analytics.setSinks(previousSinks);
+        try {
+            await Promise.all([
+                User.deleteMany({ name: { $in: ['test3', 'test4'] } }),
+                Movie.deleteOne({ title: testData.movie.title }),
+                Review.deleteMany({ movieId })
+            ]);
+        } catch (error) {
+            console.error("Error in cleanup:", error);
+            throw error;
+        }
+    });
+});
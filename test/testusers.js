@@ -2,8 +2,11 @@ let envPath = __dirname + "/../.env";
 require('dotenv').config({ path: envPath });
 let chai = require('chai');
 let chaiHttp = require('chai-http');
-let server = require('../server');
+let { createApp } = require('../server');
+let server = createApp();
 let User = require('../Users');
+let rateLimit = require('../rate_limit');
+let mailer = require('../mailer');
 chai.should();
 
 chai.use(chaiHttp);
@@ -11,7 +14,7 @@ chai.use(chaiHttp);
 let login_details = {
     name: 'test',
     username: 'email@email.com',
-    password: '123@abc'
+    password: '123@abcd'
 };
 
 describe('Register, Login User', () => {
@@ -52,5 +55,238 @@ describe('Register, Login User', () => {
             // Store token if needed
             let token = signinRes.body.token;
         });
+
+        it('it should reject a weak password', async () => {
+            const signupRes = await chai.request(server)
+                .post('/signup')
+                .send({ ...login_details, password: 'password1' });
+
+            signupRes.should.have.status(400);
+            signupRes.body.errors.map(e => e.field).should.include('password');
+        });
+    });
+
+    describe('/users/me', () => {
+        let token = '';
+
+        beforeEach(async () => {
+            await chai.request(server).post('/signup').send(login_details);
+            const signinRes = await chai.request(server).post('/signin').send(login_details);
+            token = signinRes.body.token;
+        });
+
+        it('it should update the profile', async () => {
+            const patchRes = await chai.request(server)
+                .patch('/users/me')
+                .set('Authorization', token)
+                .send({ bio: 'Westerns and film noir.' });
+            patchRes.should.have.status(200);
+
+            const getRes = await chai.request(server)
+                .get('/users/me')
+                .set('Authorization', token);
+            getRes.body.user.should.include({ username: login_details.username, bio: 'Westerns and film noir.' });
+            getRes.body.user.should.not.have.property('password');
+        });
+
+        it('it should change the password and sign out old sessions', async () => {
+            const wrongRes = await chai.request(server)
+                .post('/users/me/password')
+                .set('Authorization', token)
+                .send({ currentPassword: 'wrong', newPassword: '456#efgh' });
+            wrongRes.should.have.status(403);
+
+            const changeRes = await chai.request(server)
+                .post('/users/me/password')
+                .set('Authorization', token)
+                .send({ currentPassword: login_details.password, newPassword: '456#efgh' });
+            changeRes.should.have.status(200);
+
+            (await chai.request(server).get('/users/me').set('Authorization', token)).should.have.status(401);
+            (await chai.request(server).get('/users/me').set('Authorization', changeRes.body.token)).should.have.status(200);
+
+            const signinRes = await chai.request(server)
+                .post('/signin')
+                .send({ username: login_details.username, password: '456#efgh' });
+            signinRes.should.have.status(200);
+        });
+
+        it('it should delete the account', async () => {
+            const deleteRes = await chai.request(server)
+                .delete('/users/me')
+                .set('Authorization', token)
+                .send({ password: login_details.password, reviews: 'anonymize' });
+            deleteRes.should.have.status(200);
+
+            (await User.findOne({ username: login_details.username }) === null).should.be.eql(true);
+            (await chai.request(server).get('/users/me').set('Authorization', token)).should.have.status(401);
+        });
+    });
+
+    describe('Email verification and password reset', () => {
+        let mail;
+        let previousTransport;
+
+        before(() => {
+            mail = mailer.createMemoryTransport();
+            previousTransport = mailer.setTransport(mail);
+        });
+
+        after(() => {
+            mailer.setTransport(previousTransport);
+        });
+
+        // The token from the last email sent to the test user
+        const mailedToken = () => mail.messages.filter(m => m.to === login_details.username).pop().text.match(/^[\w-]{43}$/m)[0];
+
+        it('it should only let a verified user post reviews', async () => {
+            await chai.request(server).post('/signup').send(login_details);
+            const signinRes = await chai.request(server).post('/signin').send(login_details);
+
+            const reviewRes = await chai.request(server)
+                .post('/movies/000000000000000000000000/review')
+                .set('Authorization', signinRes.body.token)
+                .send({ review: 'Too soon.', rating: 3 });
+            reviewRes.should.have.status(403);
+            reviewRes.body.should.have.property('code', 'email_not_verified');
+
+            const verifyRes = await chai.request(server)
+                .post('/email/verify')
+                .send({ token: mailedToken() });
+            verifyRes.should.have.status(200);
+
+            const meRes = await chai.request(server)
+                .get('/users/me')
+                .set('Authorization', signinRes.body.token);
+            meRes.body.user.should.have.property('emailVerified', true);
+        });
+
+        it('it should not require verification while mail is not delivered', async () => {
+            mailer.setTransport({ ...mailer.createMemoryTransport(), delivers: false });
+            try {
+                await chai.request(server).post('/signup').send(login_details);
+                const signinRes = await chai.request(server).post('/signin').send(login_details);
+
+                const reviewRes = await chai.request(server)
+                    .post('/movies/000000000000000000000000/review')
+                    .set('Authorization', signinRes.body.token)
+                    .send({ review: 'Too soon.', rating: 3 });
+                reviewRes.should.have.status(404); // Past the verification check, to the missing movie
+            } finally {
+                mailer.setTransport(mail);
+            }
+        });
+
+        it('it should reset a forgotten password with a single-use token', async () => {
+            await chai.request(server).post('/signup').send(login_details);
+
+            const forgotRes = await chai.request(server)
+                .post('/password/forgot')
+                .send({ username: login_details.username });
+            forgotRes.should.have.status(202);
+            const token = mailedToken();
+
+            const resetRes = await chai.request(server)
+                .post('/password/reset')
+                .send({ token, password: '789$ijkl' });
+            resetRes.should.have.status(200);
+
+            const reuseRes = await chai.request(server)
+                .post('/password/reset')
+                .send({ token, password: '012%mnop' });
+            reuseRes.should.have.status(400);
+
+            const signinRes = await chai.request(server)
+                .post('/signin')
+                .send({ username: login_details.username, password: '789$ijkl' });
+            signinRes.should.have.status(200);
+        });
+
+        it('it should answer the same for an unknown username', async () => {
+            const sent = mail.messages.length;
+            const forgotRes = await chai.request(server)
+                .post('/password/forgot')
+                .send({ username: 'nobody@email.com' });
+
+            forgotRes.should.have.status(202);
+            mail.messages.should.have.lengthOf(sent);
+        });
+    });
+
+    describe('/token/refresh and /logout', () => {
+        let refreshToken = '';
+
+        beforeEach(async () => {
+            await chai.request(server).post('/signup').send(login_details);
+            const signinRes = await chai.request(server).post('/signin').send(login_details);
+            signinRes.body.should.have.property('refreshToken');
+            refreshToken = signinRes.body.refreshToken;
+        });
+
+        it('it should rotate the refresh token and detect reuse', async () => {
+            const refreshRes = await chai.request(server)
+                .post('/token/refresh')
+                .send({ refreshToken });
+
+            refreshRes.should.have.status(200);
+            refreshRes.body.should.have.property('token');
+            refreshRes.body.refreshToken.should.not.be.eql(refreshToken);
+
+            // Replaying the old token revokes the family, including the token just issued
+            const reuseRes = await chai.request(server)
+                .post('/token/refresh')
+                .send({ refreshToken });
+            reuseRes.should.have.status(401);
+
+            const revokedRes = await chai.request(server)
+                .post('/token/refresh')
+                .send({ refreshToken: refreshRes.body.refreshToken });
+            revokedRes.should.have.status(401);
+        });
+
+        it('it should revoke access tokens when logging out everywhere', async () => {
+            const signinRes = await chai.request(server).post('/signin').send(login_details);
+
+            const logoutRes = await chai.request(server)
+                .post('/logout')
+                .send({ refreshToken, everywhere: true });
+            logoutRes.should.have.status(200);
+
+            const moviesRes = await chai.request(server)
+                .get('/movies')
+                .set('Authorization', signinRes.body.token);
+            moviesRes.should.have.status(401);
+        });
+    });
+
+    describe('/signin lockout', () => {
+        let previousStore;
+
+        before(() => {
+            previousStore = rateLimit.setStore(rateLimit.createMemoryStore());
+        });
+
+        after(() => {
+            rateLimit.setStore(previousStore);
+        });
+
+        it('it should lock the username after repeated wrong passwords', async () => {
+            await chai.request(server).post('/signup').send(login_details);
+
+            for (let i = 0; i < rateLimit.LOCKOUT.freeAttempts; i++) {
+                const wrongRes = await chai.request(server)
+                    .post('/signin')
+                    .send({ username: login_details.username, password: 'wrong' });
+                wrongRes.should.have.status(401);
+                wrongRes.should.have.header('RateLimit-Limit');
+            }
+
+            // Even the right password is refused while the lock lasts
+            const lockedRes = await chai.request(server)
+                .post('/signin')
+                .send(login_details);
+            lockedRes.should.have.status(429);
+            lockedRes.should.have.header('Retry-After');
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,194 @@
+let envPath = __dirname + "/../.env";
+require('dotenv').config({ path: envPath });
+let chai = require('chai');
+let chaiHttp = require('chai-http');
+let { createApp } = require('../server');
+let server = createApp();
+let User = require('../Users');
+let Movie = require('../Movies');
+let Watchlist = require('../Watchlists');
+chai.should();
+
+chai.use(chaiHttp);
+
+const testData = {
+    user: {
+        name: 'test5',
+        username: 'email5@email.com',
+        password: '123@abcd'
+    },
+    movie: {
+        title: 'Paris, Texas',
+        releaseDate: 1984,
+        genre: 'Drama',
+        actors: [
+            { actorName: 'Harry Dean Stanton', characterName: 'Travis Henderson' }
+        ]
+    }
+};
+
+let token = '';
+let userId = '';
+let movieId = '';
+
+describe('Test Watchlist Routes', () => {
+    before(async () => {
+        try {
+            await Promise.all([
+                User.deleteOne({ name: 'test5' }),
+                Movie.deleteOne({ title: testData.movie.title })
+            ]);
+
+            await chai.request(server).post('/signup').send(testData.user);
+            // Deleting movies requires the admin role
+            const user = await User.findOneAndUpdate({ username: testData.user.username }, { role: 'admin' }, { new: true });
+            userId = user._id;
+            await Watchlist.deleteMany({ user: userId });
+
+            const res = await chai.request(server).post('/signin').send(testData.user);
+            token = res.body.token;
+
+            const movie = await Movie.create(testData.movie);
+            movieId = movie._id.toString();
+        } catch (error) {
+            console.error("Error in setup:", error);
+            throw error;
+        }
+    });
+
+    describe('/users/me/watchlist', () => {
+        it('should add a movie to the default watchlist', async () => {
+            const res = await chai.request(server)
+                .post('/users/me/watchlist')
+                .set('Authorization', token)
+                .send({ movieId });
+
+            res.should.have.status(201);
+            res.body.list.should.have.property('isDefault', true);
+            res.body.list.items[0].movie.should.have.property('title', testData.movie.title);
+        });
+
+        it('should not add the same movie twice', async () => {
+            const res = await chai.request(server)
+                .post('/users/me/watchlist')
+                .set('Authorization', token)
+                .send({ movieId });
+
+            res.should.have.status(409);
+        });
+
+        it('should mark the movie watched and list it in the history', async () => {
+            const markRes = await chai.request(server)
+                .put(`/users/me/watchlist/${movieId}/watched`)
+                .set('Authorization', token)
+                .send({ watchedAt: '2024-05-01T20:00:00.000Z' });
+
+            markRes.should.have.status(200);
+
+            const res = await chai.request(server)
+                .get('/users/me/history')
+                .set('Authorization', token);
+
+            res.should.have.status(200);
+            res.body.should.have.property('total', 1);
+            res.body.history[0].movie.should.have.property('_id', movieId);
+            res.body.history[0].should.have.property('watchedAt', '2024-05-01T20:00:00.000Z');
+        });
+    });
+
+    describe('/users/me/lists', () => {
+        it('should share a public list read-only', async () => {
+            const createRes = await chai.request(server)
+                .post('/users/me/lists')
+                .set('Authorization', token)
+                .send({ name: 'Road movies', visibility: 'public' });
+
+            createRes.should.have.status(201);
+            const { _id: listId, shareUrl } = createRes.body.list;
+
+            await chai.request(server)
+                .post('/users/me/watchlist')
+                .set('Authorization', token)
+                .send({ movieId, list: listId });
+
+            const res = await chai.request(server).get(shareUrl);
+
+            res.should.have.status(200);
+            res.body.list.should.have.property('name', 'Road movies');
+            res.body.list.should.have.property('itemCount', 1);
+        });
+
+        it('should hide a list once it is made private', async () => {
+            const lists = await chai.request(server)
+                .get('/users/me/lists')
+                .set('Authorization', token);
+            const list = lists.body.lists.find(l => l.name === 'Road movies');
+
+            await chai.request(server)
+                .put(`/users/me/lists/${list._id}`)
+                .set('Authorization', token)
+                .send({ visibility: 'private' });
+
+            const res = await chai.request(server).get(list.shareUrl);
+            res.should.have.status(404);
+        });
+    });
+
+    describe('Deleting, restoring and purging movies', () => {
+        it('should hide a deleted movie until it is restored', async () => {
+            const deleteRes = await chai.request(server)
+                .delete(`/movies/${movieId}`)
+                .set('Authorization', token);
+            deleteRes.should.have.status(200);
+
+            const hiddenRes = await chai.request(server)
+                .get('/users/me/watchlist')
+                .set('Authorization', token);
+            hiddenRes.body.list.should.have.property('itemCount', 0);
+            (await chai.request(server).get(`/movies/${movieId}`)).should.have.status(404);
+
+            const restoreRes = await chai.request(server)
+                .post(`/movies/${movieId}/restore`)
+                .set('Authorization', token);
+            restoreRes.should.have.status(200);
+
+            const shownRes = await chai.request(server)
+                .get('/users/me/watchlist')
+                .set('Authorization', token);
+            shownRes.body.list.should.have.property('itemCount', 1);
+        });
+
+        it('should only purge a deleted movie, removing it from every list', async () => {
+            const liveRes = await chai.request(server)
+                .delete(`/admin/movies/${movieId}`)
+                .set('Authorization', token);
+            liveRes.should.have.status(409);
+
+            await chai.request(server)
+                .delete(`/movies/${movieId}`)
+                .set('Authorization', token);
+
+            const res = await chai.request(server)
+                .delete(`/admin/movies/${movieId}`)
+                .set('Authorization', token);
+
+            res.should.have.status(200);
+            const lists = await Watchlist.find({ user: userId });
+            lists.should.have.lengthOf(2);
+            lists.forEach(list => list.items.should.have.lengthOf(0));
+        });
+    });
+
+    after(async () => {
+        try {
+            await Promise.all([
+                User.deleteOne({ name: 'test5' }),
+                Movie.deleteOne({ title: testData.movie.title }),
+                Watchlist.deleteMany({ user: userId })
+            ]);
+        } catch (error) {
+            console.error("Error in cleanup:", error);
+            throw error;
+        }
+    });
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('./Users');
+const RefreshToken = require('./RefreshTokens');
+
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token. "ver" must match the user's tokenVersion for the token to be accepted.
+function signAccessToken(user) {
+  const userToken = { id: user._id, username: user.username, role: user.role, ver: user.tokenVersion || 0 };
+  return 'JWT ' + jwt.sign(userToken, process.env.SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Create and store a refresh token, starting a new family unless one is given
+async function createRefreshToken(user, family = crypto.randomUUID()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return token;
+}
+
+// Issue an access/refresh token pair on signin
+async function issueTokens(user) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: await createRefreshToken(user)
+  };
+}
+
+// Exchange a refresh token for a new pair. Each refresh token works once: presenting a used or
+// revoked token means it was copied, so the whole family is revoked and the user must sign in again.
+// Returns { error } with a client-facing message when the token cannot be used.
+async function rotateRefreshToken(token) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  // Mark the token used in the same step as checking it, so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null, revokedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    return { error: 'Refresh token reuse detected. Please sign in again.' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken: await createRefreshToken(user, stored.family)
+  };
+}
+
+function revokeFamily(family) {
+  return RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+}
+
+// Log out: revoke the refresh token's family, or with everywhere=true every refresh token the user
+// holds plus all outstanding access tokens. Returns { error } when the token is unknown.
+async function revokeRefreshToken(token, { everywhere = false } = {}) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token)) });
+  if (!stored) {
+    return { error: 'Invalid refresh token.' };
+  }
+
+  if (everywhere) {
+    await revokeAllTokens(stored.user);
+  } else {
+    await revokeFamily(stored.family);
+  }
+  return {};
+}
+
+// Invalidate every token a user holds, e.g. after a password change
+async function revokeAllTokens(userId) {
+  await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() }),
+    User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+  ]);
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+  hashToken
+};
@@ -0,0 +1,127 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const document = require('./openapi');
+const { ValidationError } = require('./errors');
+
+// Bodies are JSON and validated as sent; path and query values are always strings, so their
+// validator coerces ("2010" passes as an integer). Both validate against the OpenAPI document.
+const bodyAjv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const paramAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true }));
+bodyAjv.addSchema(document, 'openapi.json');
+paramAjv.addSchema(document, 'openapi.json');
+
+// JSON pointer into the OpenAPI document
+const pointer = (...parts) => 'openapi.json#/' + parts.map(p => String(p).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+// Compiled validators per operation, built on first use
+const validators = new Map();
+
+// Look up the documented operation for the route Express matched, e.g. "/movies/:movieId" -> "/movies/{movieId}"
+function operationFor(req) {
+  const path = (req.baseUrl + req.route.path).replace(/:(\w+)/g, '{$1}');
+  const method = req.method.toLowerCase();
+  const pathItem = document.paths[path];
+  if (!pathItem || !pathItem[method]) return null;
+  return { path, method, pathItem, operation: pathItem[method] };
+}
+
+// Build an object schema for the path or query parameters of an operation
+function parameterSchema({ pathItem, operation }, location) {
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+    .filter(p => p.in === location);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(p => [p.name, p.schema])),
+    required: parameters.filter(p => p.required).map(p => p.name)
+  };
+}
+
+function validatorsFor(req) {
+  const found = operationFor(req);
+  if (!found) return null;
+
+  const key = `${found.method} ${found.path}`;
+  if (!validators.has(key)) {
+    const { path, method, operation } = found;
+    const body = operation.requestBody && operation.requestBody.content['application/json'];
+    validators.set(key, {
+      params: paramAjv.compile(parameterSchema(found, 'path')),
+      query: paramAjv.compile(parameterSchema(found, 'query')),
+      body: body ? bodyAjv.compile({ $ref: pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema') }) : null,
+      responses: operation.responses,
+      responsePointer: (status) => pointer('paths', path, method, 'responses', status, 'content', 'application/json', 'schema')
+    });
+  }
+  return validators.get(key);
+}
+
+// Turn Ajv errors into { field, message } pairs, e.g. { field: 'body.actors.0.actorName', message: 'is required' }
+function formatErrors(location, ajvErrors) {
+  return (ajvErrors || []).map(err => {
+    let field = location + err.instancePath.replace(/\//g, '.');
+    let message = err.message;
+    if (err.keyword === 'required') {
+      field += '.' + err.params.missingProperty;
+      message = 'is required';
+    } else if (err.keyword === 'enum') {
+      message += ': ' + err.params.allowedValues.join(', ');
+    }
+    return { field, message };
+  });
+}
+
+// Warn (outside production) when a JSON response does not match its documented schema
+function checkResponses(res, compiled) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const status = String(res.statusCode);
+    const documented = compiled.responses[status];
+    if (documented && documented.content && documented.content['application/json']) {
+      const validateResponse = bodyAjv.getSchema(compiled.responsePointer(status)) ||
+        bodyAjv.compile({ $ref: compiled.responsePointer(status) });
+      if (!validateResponse(JSON.parse(JSON.stringify(body)))) {
+        console.warn(`Response ${status} does not match the OpenAPI document:`, formatErrors('response', validateResponse.errors));
+      }
+    }
+    return json(body);
+  };
+}
+
+//----------------------------------------------------------------------------------------------------------
+// Route middleware validating path parameters, query string and JSON body against the OpenAPI document.
+// Fails with a 400 ValidationError listing every invalid field; routes missing from the document pass through unchecked.
+function validate(req, res, next) {
+  const compiled = validatorsFor(req);
+  if (!compiled) return next();
+
+  // Validate copies so handlers still see the raw request values
+  const errors = [];
+  if (!compiled.params({ ...req.params })) errors.push(...formatErrors('params', compiled.params.errors));
+  if (!compiled.query({ ...req.query })) errors.push(...formatErrors('query', compiled.query.errors));
+  if (compiled.body && !compiled.body(req.body === undefined ? {} : req.body)) {
+    errors.push(...formatErrors('body', compiled.body.errors));
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError(`Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, errors));
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    checkResponses(res, compiled);
+  }
+  next();
+}
+
+// Check data against a named component schema, e.g. checkSchema('MovieInput', movie).
+// Returns the same { field, message } list validate responds with; empty when the data is valid.
+const componentValidators = new Map();
+function checkSchema(name, data, location = 'body') {
+  if (!componentValidators.has(name)) {
+    componentValidators.set(name, bodyAjv.compile({ $ref: pointer('components', 'schemas', name) }));
+  }
+  const check = componentValidators.get(name);
+  return check(data) ? [] : formatErrors(location, check.errors);
+}
+
+module.exports = validate;
+module.exports.checkSchema = checkSchema;